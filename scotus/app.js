@@ -13,20 +13,86 @@
     let yearStart = 1791;
     let yearEnd = 2024;
     let selectedJustices = null; // null = all justices, Set = explicit selection
+    let selectedCourts = null; // null = use the slider range, Set = natural court ids
     let minCases = 1;
+    let caseFilters = { issueArea: null, issue: null, decisionType: null, lawType: null }; // null = any
+    let metric = 'majority'; // key into METRICS
+    let drilldownPair = null; // [justice1, justice2] shown in the case panel
+    let drilldownFilter = 'all'; // 'all' | 'agreements' | 'disagreements'
+    let urlUpdateTimeout = null;
+    let ordering = 'seniority'; // key into ORDERINGS
+    let showDendrogram = false;
+    let groupBy = 'none'; // 'none' | 'party' | 'president': collapse the matrix into blocs of appointees
+    const expandedGroups = new Set(); // bloc keys (party codes or president names) shown as individual justices
+    let currentView = { justices: [], matrix: [], caseCount: 0 }; // last rendered matrix, for export
+    let playTimer = null; // interval id while term-window playback is running
+    let trendPair = null; // [justice1, justice2] shown in the trend chart
+    let uncertaintyMode = 'fade'; // 'off' | 'fade' | 'hatch'
+    let colorScheme = 'redgreen'; // key of COLOR_SCHEMES
+    let colorDomain = 'relative'; // 'relative' = observed min to max rate, 'fixed' = 0-100%
+    let maxIntervalWidth = 0.3; // cells with a wider 95% interval are faded or hatched
+    const chunkRequests = new Map(); // chunk file -> pending or settled load promise
+    let rangeJustices = []; // justices voting in the current period, by seniority (from the last aggregation)
+    let aggregationWorker = null; // Web Worker answering matrix queries; null = aggregate on the main thread
+    let latestQueryId = 0; // results of older queries are stale and dropped
+    let pendingRenderOptions = {}; // renderMatrix options for the newest query
+    let termIndexes = {}; // main-thread prefix sums per vote field (used without a worker)
+    let canvasView = null; // state of the canvas renderer while it is active, see renderCanvasMatrix
+    let canvasZoom = null; // d3.zoom behavior attached to the matrix canvas
+    let canvasFrame = null; // pending requestAnimationFrame id for a canvas redraw
+    let renderedMatrix = null; // justices (or blocs) and cells drawn into #matrix, for keyboard use and the table
+    let focusedCell = null; // { i, j, row, col } of the keyboard-focused matrix cell, see setupMatrixKeyboard
+    let pinnedCell = null; // { i, j } of the cell shown in the tap-to-inspect card
+    let lastPointerType = 'mouse'; // pointer type of the latest press on the matrix ('mouse', 'touch' or 'pen')
+    let matrixZoom = null; // d3.zoom behavior for pinch-zoom on the SVG matrix
+    let showCompare = false;
+    let compareRanges = null; // { a: [start, end], b: [start, end] } terms compared in compare mode
+    let compareMode = 'diff'; // 'diff' = one matrix of B - A, 'side' = both matrices
+    let compareCache = null; // { key, periods } of the last compared periods, see renderComparison
+    let showNetwork = false;
+    let networkThreshold = 0.7; // pairs agreeing at least this often are linked in the network
+    let networkSimulation = null; // d3 force simulation of the agreement network, kept across renders
+    const networkNodes = new Map(); // justice -> simulation node, so nodes stay put across renders
+    let showSwing = false;
+    let showSplits = false;
+    let splitsJustice = null; // justice highlighted in the per-justice vote split trend
+    let splitsMeasure = 'rate'; // per-justice trend: 'rate' = dissent rate, 'solo' = solo dissent count
+    let showIdeal = false;
+    let idealDimensions = 1; // 1 = liberal-conservative dot plot, 2 = scatter of the first two axes
+    let idealTrack = null; // justice whose position is traced across their tenure
+    let idealTrackCache = null; // { key, track } of the last traced tenure, see renderIdealTrack
 
     // DOM elements
     const loadingEl = document.getElementById('loading');
     const matrixEl = document.getElementById('matrix');
+    const matrixContainer = document.querySelector('.matrix-container');
     const tooltipEl = document.getElementById('tooltip');
+    const liveRegion = document.getElementById('live-region');
+    const cellCard = document.getElementById('cell-card');
+    const cellCardBody = document.getElementById('cell-card-body');
+    const cellCardAction = document.getElementById('cell-card-action');
+    const cellCardCloseBtn = document.getElementById('cell-card-close');
+    const matrixTableDetails = document.getElementById('matrix-table-details');
+    const matrixTableEl = document.getElementById('matrix-table');
     const yearStartSlider = document.getElementById('year-start');
     const yearEndSlider = document.getElementById('year-end');
     const yearStartDisplay = document.getElementById('year-start-display');
     const yearEndDisplay = document.getElementById('year-end-display');
+    const playWindowInput = document.getElementById('play-window');
+    const playToggleBtn = document.getElementById('play-toggle');
+    const playStepBtn = document.getElementById('play-step');
+    const playSpeedSelect = document.getElementById('play-speed');
+    const playStatusEl = document.getElementById('play-status');
+    const courtToggle = document.getElementById('court-toggle');
+    const courtMenu = document.getElementById('court-menu');
+    const courtLabel = document.getElementById('court-label');
+    const courtOptions = document.getElementById('court-options');
+    const courtClearBtn = document.getElementById('court-clear');
     const justiceCountEl = document.getElementById('justice-count');
     const caseCountEl = document.getElementById('case-count');
 
     // Filter DOM elements
+    const justiceDropdown = document.getElementById('justice-dropdown');
     const dropdownToggle = document.getElementById('dropdown-toggle');
     const dropdownMenu = document.getElementById('dropdown-menu');
     const dropdownLabel = document.getElementById('dropdown-label');
@@ -35,34 +101,524 @@
     const selectAllBtn = document.getElementById('select-all');
     const clearAllBtn = document.getElementById('clear-all');
     const minCasesInput = document.getElementById('min-cases');
+    const issueAreaSelect = document.getElementById('issue-area');
+    const issueSelect = document.getElementById('issue');
+    const decisionTypeSelect = document.getElementById('decision-type');
+    const lawTypeSelect = document.getElementById('law-type');
+    const metricSelect = document.getElementById('metric');
+    const uncertaintySelect = document.getElementById('uncertainty-mode');
+    const colorSchemeSelect = document.getElementById('color-scheme');
+    const colorDomainSelect = document.getElementById('color-domain');
+    const intervalWidthInput = document.getElementById('interval-width');
+    const orderingSelect = document.getElementById('ordering');
+    const dendrogramToggle = document.getElementById('show-dendrogram');
+    const groupBySelect = document.getElementById('group-by');
+    const exportToggle = document.getElementById('export-toggle');
+    const exportMenu = document.getElementById('export-menu');
+
+    // Case panel DOM elements
+    const casePanel = document.getElementById('case-panel');
+    const casePanelTitle = document.getElementById('case-panel-title');
+    const casePanelSummary = document.getElementById('case-panel-summary');
+    const casePanelClose = document.getElementById('case-panel-close');
+    const casePanelToggles = document.getElementById('case-panel-toggles');
+    const caseListEl = document.getElementById('case-list');
+    const casePanelTrendBtn = document.getElementById('case-panel-trend');
+
+    // Trend chart DOM elements
+    const trendContainer = document.getElementById('trend-container');
+    const trendTitleEl = document.getElementById('trend-title');
+    const trendSummaryEl = document.getElementById('trend-summary');
+    const trendChartEl = document.getElementById('trend-chart');
+    const trendCloseBtn = document.getElementById('trend-close');
+    const dropdownTrendBtn = document.getElementById('dropdown-trend');
+
+    // Period comparison elements
+    const compareToggle = document.getElementById('show-compare');
+    const compareContainer = document.getElementById('compare-container');
+    const compareSummaryEl = document.getElementById('compare-summary');
+    const compareAStartInput = document.getElementById('compare-a-start');
+    const compareAEndInput = document.getElementById('compare-a-end');
+    const compareBStartInput = document.getElementById('compare-b-start');
+    const compareBEndInput = document.getElementById('compare-b-end');
+    const compareModeSelect = document.getElementById('compare-mode');
+    const compareLegendEl = document.getElementById('compare-legend');
+    const compareChartEl = document.getElementById('compare-chart');
+    const compareCloseBtn = document.getElementById('compare-close');
+
+    // Agreement network elements
+    const networkToggle = document.getElementById('show-network');
+    const networkContainer = document.getElementById('network-container');
+    const networkSummaryEl = document.getElementById('network-summary');
+    const networkThresholdInput = document.getElementById('network-threshold');
+    const networkThresholdDisplay = document.getElementById('network-threshold-display');
+    const networkLegendEl = document.getElementById('network-legend');
+    const networkChartEl = document.getElementById('network-chart');
+    const networkCloseBtn = document.getElementById('network-close');
+
+    // Swing vote panel elements
+    const swingToggle = document.getElementById('show-swing');
+    const swingContainer = document.getElementById('swing-container');
+    const swingSummaryEl = document.getElementById('swing-summary');
+    const swingRankingEl = document.getElementById('swing-ranking');
+    const swingWinningEl = document.getElementById('swing-winning');
+    const swingLosingEl = document.getElementById('swing-losing');
+    const swingCloseBtn = document.getElementById('swing-close');
+
+    // Vote split panel elements
+    const splitsToggle = document.getElementById('show-splits');
+    const splitsContainer = document.getElementById('splits-container');
+    const splitsSummaryEl = document.getElementById('splits-summary');
+    const splitsHistogramEl = document.getElementById('splits-histogram');
+    const splitsJusticesEl = document.getElementById('splits-justices');
+    const splitsTrendSummaryEl = document.getElementById('splits-trend-summary');
+    const splitsLegendEl = document.getElementById('splits-legend');
+    const splitsTrendChartEl = document.getElementById('splits-trend-chart');
+    const splitsJusticeSummaryEl = document.getElementById('splits-justice-summary');
+    const splitsMeasureSelect = document.getElementById('splits-measure');
+    const splitsJusticeChartEl = document.getElementById('splits-justice-chart');
+    const splitsCloseBtn = document.getElementById('splits-close');
+
+    // Ideal point panel elements
+    const idealToggle = document.getElementById('show-ideal');
+    const idealContainer = document.getElementById('ideal-container');
+    const idealSummaryEl = document.getElementById('ideal-summary');
+    const idealDimensionsSelect = document.getElementById('ideal-dimensions');
+    const idealChartEl = document.getElementById('ideal-chart');
+    const idealCloseBtn = document.getElementById('ideal-close');
+    const idealTrackEl = document.getElementById('ideal-track');
+    const idealTrackTitleEl = document.getElementById('ideal-track-title');
+    const idealTrackSummaryEl = document.getElementById('ideal-track-summary');
+    const idealTrackChartEl = document.getElementById('ideal-track-chart');
+    const idealTrackCloseBtn = document.getElementById('ideal-track-close');
 
     // Configuration
     const config = {
         cellSize: 18,
         labelPadding: 200,
+        narrowLabelPadding: 72, // label margin on narrow screens, which get abbreviated labels
+        narrowScreenWidth: 600,
+        maxTouchZoom: 4,
+        legendWidth: 240,
+        legendTicks: 5,
+        gradientStops: 10, // color samples per legend gradient
         minCellSize: 12,
-        maxCellSize: 24
+        maxCellSize: 24,
+        defaultStartTerm: 2005,
+        urlUpdateDelay: 300,
+        transitionDuration: 750,
+        pngScale: 3,
+        playStepDelay: 1500,
+        sliderPageStep: 10, // terms moved by Page Up/Down on the term sliders
+        trendHeight: 320,
+        compareLabelWidth: 110,
+        minCompareCellSize: 6,
+        minCompareChange: 0.05, // smallest half-width of the difference color scale
+        networkHeight: 480,
+        coalitionCount: 5, // coalitions listed per side in the swing vote panel
+        splitsHeight: 240,
+        splitBarWidth: 40,
+        idealHeight: 480,
+        idealRowHeight: 18,
+        idealWindow: 2, // terms either side of each term scaled for a justice's movement
+        mdsIterations: 1000, // power iteration limit per scaling axis
+        uncertainFadeOpacity: 0.3,
+        canvasThreshold: 60, // draw on a canvas instead of SVG above this many justices
+        canvasMinSize: 480,
+        maxCanvasCellSize: 32, // largest cell size reachable by zooming the canvas
+        canvasLabelPitch: 12 // minimum vertical spacing between canvas labels
+    };
+
+    // Ways to flag cells with wide confidence intervals
+    const UNCERTAINTY_MODES = ['off', 'fade', 'hatch'];
+
+    // Matrix color schemes, as interpolators from the lowest (0) to the highest (1) agreement
+    const COLOR_SCHEMES = {
+        redgreen: d3.piecewise(d3.interpolateRgb, ['#d32f2f', '#f5f5f5', '#388e3c']),
+        viridis: d3.interpolateViridis,
+        blueorange: d3.piecewise(d3.interpolateRgb, ['#e66101', '#f7f7f7', '#0571b0'])
+    };
+
+    // Diverging counterpart of each scheme for the period difference, neutral at no change
+    const DIVERGING_SCHEMES = {
+        redgreen: COLOR_SCHEMES.redgreen,
+        viridis: d3.interpolatePuOr,
+        blueorange: COLOR_SCHEMES.blueorange
+    };
+
+    // Row/column orderings offered in the "Order By" selector
+    const ORDERINGS = {
+        seniority: 'Seniority',
+        alphabetical: 'Alphabetical',
+        party: 'Appointing party',
+        cluster: 'Voting clusters'
+    };
+
+    // Party grouping order for the "Appointing party" ordering (chronological emergence)
+    const PARTY_ORDER = ['F', 'DR', 'W', 'D', 'R'];
+
+    // Node colors in the agreement network, by appointing party
+    const PARTY_COLORS = {
+        F: '#9c6ade',
+        DR: '#26a69a',
+        W: '#ffa726',
+        D: '#4a90d9',
+        R: '#e57373'
+    };
+
+    // Majority-dissent splits counted as closely divided (full bench, one recusal, two recusals)
+    const CLOSE_SPLITS = ['5-4', '5-3', '4-3'];
+
+    // Vote split classes by number of dissenters, for the per-term trend (the last also covers 5-4 and 4-4)
+    const SPLIT_CLASSES = [
+        { label: 'Unanimous', color: '#388e3c' },
+        { label: '1 dissent', color: '#8bc34a' },
+        { label: '2 dissents', color: '#fdd835' },
+        { label: '3 dissents', color: '#fb8c00' },
+        { label: '4+ dissents', color: '#d32f2f' }
+    ];
+
+    // First header word of a columnar data chunk ("SCDB", little-endian)
+    const CHUNK_MAGIC = 0x42444353;
+
+    // URL query parameter names for the case category filters
+    const FILTER_PARAMS = {
+        issueArea: 'area',
+        issue: 'issue',
+        decisionType: 'decision',
+        lawType: 'law'
+    };
+
+    // Agreement metrics: which per-case vote map two justices must match on
+    const METRICS = {
+        majority: { label: 'Same side of the majority', votesField: 'votes', voteLabels: { 1: 'Dissent', 2: 'Majority' } },
+        direction: { label: 'Same ideological direction', votesField: 'directions', voteLabels: { 1: 'Conservative', 2: 'Liberal' } }
+    };
+
+    // SCDB codebook labels for case categories
+    const ISSUE_AREAS = {
+        1: 'Criminal Procedure',
+        2: 'Civil Rights',
+        3: 'First Amendment',
+        4: 'Due Process',
+        5: 'Privacy',
+        6: 'Attorneys',
+        7: 'Unions',
+        8: 'Economic Activity',
+        9: 'Judicial Power',
+        10: 'Federalism',
+        11: 'Interstate Relations',
+        12: 'Federal Taxation',
+        13: 'Miscellaneous',
+        14: 'Private Action'
+    };
+
+    const DECISION_TYPES = {
+        1: 'Opinion of the Court (argued)',
+        2: 'Per curiam (not argued)',
+        4: 'Decree',
+        5: 'Equally divided vote',
+        6: 'Per curiam (argued)',
+        7: 'Judgment of the Court (argued)',
+        8: 'Seriatim'
+    };
+
+    const LAW_TYPES = {
+        1: 'Constitution',
+        2: 'Constitutional Amendment',
+        3: 'Federal Statute',
+        4: 'Court Rules',
+        5: 'Other',
+        6: 'Infrequently Litigated Statutes',
+        8: 'State or Local Law',
+        9: 'No Legal Provision'
+    };
+
+    // SCDB codebook labels for issues, by area; codes missing here fall back to "Code <n>"
+    const ISSUES = {
+        10010: 'Involuntary confession',
+        10020: 'Habeas corpus',
+        10030: 'Plea bargaining',
+        10040: 'Retroactivity of new constitutional rights',
+        10050: 'Search and seizure',
+        10060: 'Search and seizure: vehicles',
+        10070: 'Search and seizure: Crime Control Act',
+        10080: 'Contempt of court or Congress',
+        10090: 'Self-incrimination',
+        10100: 'Miranda warnings',
+        10110: 'Self-incrimination: immunity from prosecution',
+        10120: 'Right to counsel',
+        10130: 'Cruel and unusual punishment: death penalty',
+        10140: 'Cruel and unusual punishment: non-death penalty',
+        10150: 'Line-up',
+        10160: 'Discovery and inspection',
+        10170: 'Double jeopardy',
+        10180: 'Ex post facto (state)',
+        10190: 'Extra-legal jury influences: miscellaneous',
+        10200: 'Extra-legal jury influences: prejudicial statements or evidence',
+        10210: 'Extra-legal jury influences: contact with jurors',
+        10220: 'Extra-legal jury influences: jury instructions',
+        10230: 'Extra-legal jury influences: voir dire',
+        10240: 'Extra-legal jury influences: prison garb or appearance',
+        10250: 'Extra-legal jury influences: jurors and death penalty',
+        10260: 'Extra-legal jury influences: pretrial publicity',
+        10270: 'Confrontation of witnesses',
+        10280: 'Fair procedure: confession of error',
+        10290: 'Fair procedure: conspiracy',
+        10300: 'Fair procedure: entrapment',
+        10310: 'Fair procedure: exhaustion of remedies',
+        10320: 'Fair procedure: fugitive from justice',
+        10330: 'Fair procedure: admissibility or sufficiency of evidence',
+        10340: 'Fair procedure: stay of execution',
+        10350: 'Fair procedure: timeliness',
+        10360: 'Fair procedure: miscellaneous',
+        10370: 'Federal Rules of Criminal Procedure',
+        10380: 'Criminal statutes: assault',
+        10390: 'Criminal statutes: bank robbery',
+        10400: 'Criminal statutes: conspiracy',
+        10410: 'Criminal statutes: escape from custody',
+        10420: 'Criminal statutes: false statements',
+        10430: 'Criminal statutes: financial',
+        10440: 'Criminal statutes: firearms',
+        10450: 'Criminal statutes: fraud',
+        10460: 'Criminal statutes: gambling',
+        10470: 'Criminal statutes: Hobbs Act',
+        10480: 'Criminal statutes: immigration',
+        10490: 'Criminal statutes: internal revenue',
+        10500: 'Criminal statutes: Mann Act',
+        10510: 'Criminal statutes: narcotics',
+        10520: 'Criminal statutes: obstruction of justice',
+        10530: 'Criminal statutes: perjury',
+        10540: 'Criminal statutes: Travel Act',
+        10550: 'Criminal statutes: war crimes',
+        10560: 'Criminal statutes: sentencing guidelines',
+        10570: 'Criminal statutes: miscellaneous',
+        10580: 'Jury trial',
+        10590: 'Speedy trial',
+        10600: 'Miscellaneous criminal procedure',
+        20010: 'Voting',
+        20020: 'Voting Rights Act',
+        20030: 'Ballot access',
+        20040: 'Desegregation',
+        20050: 'Desegregation: schools',
+        20060: 'Employment discrimination',
+        20070: 'Affirmative action',
+        20075: 'Slavery or indentured servitude',
+        20080: 'Sit-in demonstrations',
+        20090: 'Reapportionment',
+        20100: "Debtors' rights",
+        20110: 'Deportation',
+        20120: 'Employability of aliens',
+        20130: 'Sex discrimination',
+        20140: 'Sex discrimination in employment',
+        20150: 'Indians',
+        20160: 'Indians: state jurisdiction',
+        20170: 'Juveniles',
+        20180: 'Poverty law: constitutional',
+        20190: 'Poverty law: statutory',
+        20200: 'Rights of illegitimates',
+        20220: 'Residency requirements',
+        20230: 'Military: draftee',
+        20240: 'Military: active duty',
+        20250: 'Military: veteran',
+        20260: 'Immigration: permanent residence',
+        20270: 'Immigration: citizenship',
+        20280: 'Immigration: loss of citizenship',
+        20290: 'Immigration: access to public education',
+        20300: 'Immigration: welfare benefits',
+        20310: 'Immigration: miscellaneous',
+        20320: 'Indigents: appointment of counsel',
+        20330: 'Indigents: inadequate representation',
+        20340: 'Indigents: payment of fine',
+        20350: 'Indigents: costs or filing fees',
+        20360: 'Indigents: Supreme Court docketing fee',
+        20370: 'Indigents: transcript',
+        20380: 'Indigents: assistance of psychiatrist',
+        20390: 'Indigents: miscellaneous',
+        20400: 'Liability under civil rights acts',
+        20410: 'Miscellaneous civil rights',
+        30010: 'First Amendment: miscellaneous',
+        30020: 'Commercial speech',
+        30030: 'Libel and defamation',
+        30040: 'Libel: invasion of privacy',
+        30050: 'Legislative investigations: internal security',
+        30060: 'Internal security legislation',
+        30070: 'Loyalty oath',
+        30080: 'Loyalty oath: bar applicants',
+        30090: 'Loyalty oath: government employees',
+        30100: 'Loyalty oath: political party',
+        30110: 'Loyalty oath: teachers',
+        30120: 'Security risks',
+        30130: 'Conscientious objectors',
+        30140: 'Campaign spending',
+        30150: 'Protest demonstrations',
+        30160: 'Free exercise of religion',
+        30170: 'Establishment of religion',
+        30180: 'School prayer',
+        30190: 'Obscenity: state',
+        30200: 'Obscenity: federal',
+        40010: 'Due process: miscellaneous',
+        40020: 'Due process: hearing or notice',
+        40030: 'Due process: hearing for government employees',
+        40040: "Due process: prisoners' and defendants' rights",
+        40050: 'Due process: impartial decision maker',
+        40060: 'Due process: jurisdiction over non-residents',
+        40070: 'Takings clause',
+        50010: 'Privacy',
+        50020: 'Abortion and contraceptives',
+        50030: 'Right to die',
+        50040: 'Freedom of Information Act',
+        60010: "Attorneys' fees, compensation or licenses",
+        60020: 'Commercial speech: attorneys',
+        60030: 'Bar admission and attorney discipline',
+        60040: 'Supreme Court bar admission or disbarment',
+        70010: 'Labor arbitration',
+        70020: 'Union antitrust',
+        70030: 'Union or closed shop',
+        70040: 'Fair Labor Standards Act',
+        70050: 'Occupational Safety and Health Act',
+        70060: 'Union-member dispute',
+        70070: 'Labor disputes: bargaining',
+        70080: 'Labor disputes: employee discharge',
+        70090: 'Labor disputes: union literature',
+        70100: 'Labor disputes: representative election',
+        70110: 'Labor disputes: antistrike injunction',
+        70120: 'Labor disputes: jurisdictional dispute',
+        70130: 'Labor disputes: right to organize',
+        70140: 'Labor disputes: picketing',
+        70150: 'Labor disputes: secondary activity',
+        70160: 'Labor disputes: no-strike clause',
+        70170: 'Labor disputes: union representation',
+        70180: 'Labor disputes: union trust funds',
+        70190: 'Labor disputes: working conditions',
+        70200: 'Labor disputes: miscellaneous',
+        70210: 'Miscellaneous union',
+        80010: 'Antitrust',
+        80020: 'Mergers',
+        80030: 'Bankruptcy',
+        80040: 'Sufficiency of evidence',
+        80050: 'Election of remedies',
+        80060: 'Governmental liability',
+        80070: 'Liability',
+        80080: 'Punitive damages',
+        80090: 'ERISA',
+        80100: 'State or local tax',
+        80105: 'State and territorial land claims',
+        80110: 'State or local regulation of business',
+        80120: 'Securities regulation',
+        80130: 'Environmental protection',
+        80140: 'Governmental corruption',
+        80150: 'Zoning',
+        80160: 'Commercial arbitration',
+        80170: 'Consumer protection',
+        80180: 'Patents',
+        80190: 'Copyright',
+        80200: 'Trademark',
+        80210: 'Patentability of computer processes',
+        80220: 'Transportation regulation: railroad',
+        80230: 'Transportation regulation: boat',
+        80240: 'Transportation regulation: motor carrier',
+        80250: 'Transportation regulation: pipeline',
+        80260: 'Transportation regulation: airline',
+        80270: 'Utilities regulation: electric power',
+        80280: 'Utilities regulation: nuclear power',
+        80290: 'Utilities regulation: oil producer',
+        80300: 'Utilities regulation: gas producer',
+        80310: 'Utilities regulation: natural gas pipeline',
+        80320: 'Utilities regulation: radio and television',
+        80330: 'Utilities regulation: cable television',
+        80340: 'Utilities regulation: telephone',
+        80350: 'Miscellaneous economic regulation',
+        90010: 'Comity: civil rights',
+        90020: 'Comity: criminal procedure',
+        90030: 'Comity: First Amendment',
+        90040: 'Comity: habeas corpus',
+        90050: 'Comity: military',
+        90060: 'Comity: obscenity',
+        90070: 'Comity: privacy',
+        90080: 'Comity: miscellaneous',
+        90090: 'Comity: removal and civil procedure',
+        90100: 'Assessment of costs or damages',
+        90110: 'Federal Rules of Civil Procedure',
+        90120: 'Judicial review of agency action',
+        90130: 'Mootness',
+        90140: 'Venue',
+        90150: 'No merits: writ improvidently granted',
+        90160: 'No merits: no substantial federal question',
+        90170: 'No merits: want of jurisdiction',
+        90180: 'No merits: adequate non-federal grounds',
+        90190: 'No merits: remand to determine basis of decision',
+        90200: 'No merits: miscellaneous',
+        90210: 'Standing: adversary parties',
+        90220: 'Standing: direct injury',
+        90230: 'Standing: legal injury',
+        90240: 'Standing: personal injury',
+        90250: 'Standing: justiciable question',
+        90260: 'Standing: live dispute',
+        90270: 'Standing: parens patriae',
+        90280: 'Standing: statutory standing',
+        90290: 'Standing: private or implied cause of action',
+        90300: "Standing: taxpayer's suit",
+        90310: 'Standing: miscellaneous',
+        90320: 'Jurisdiction of federal district courts',
+        90330: 'Jurisdiction of federal courts of appeals',
+        90340: 'Supreme Court jurisdiction over federal courts',
+        90350: 'Supreme Court jurisdiction over state courts',
+        100010: 'National supremacy: commodities',
+        100020: 'National supremacy: intergovernmental tax immunity',
+        100030: 'National supremacy: marital and family relationships',
+        100040: 'National supremacy: natural resources',
+        100050: 'National supremacy: pollution',
+        100060: 'National supremacy: public utilities',
+        100070: 'National supremacy: state tax',
+        100080: 'National supremacy: miscellaneous',
+        100090: 'Preemption of state law',
+        110010: 'Boundary dispute between states',
+        110020: 'Non-real property dispute between states',
+        110030: 'Miscellaneous interstate relations',
+        120010: 'Federal income tax',
+        120020: 'Federal estate and gift tax',
+        120030: 'Priority of federal fiscal claims',
+        120040: 'Miscellaneous federal taxation',
+        130010: 'Legislative veto',
+        130020: 'Miscellaneous',
+        140010: 'Real property',
+        140020: 'Personal property',
+        140030: 'Contracts',
+        140040: 'Evidence',
+        140050: 'Civil procedure',
+        140060: 'Torts',
+        140070: 'Wills and trusts',
+        140080: 'Commercial transactions'
     };
 
-    // Color scale will be set dynamically based on current data range
-    let colorScale = d3.scaleLinear()
-        .domain([0, 0.5, 1])
-        .range(['#d32f2f', '#f5f5f5', '#388e3c']);
+    // Color scale will be set dynamically based on the color scheme and current data range
+    let colorScale = d3.scaleSequential(COLOR_SCHEMES.redgreen);
 
     // Legend elements
-    const legendGradient = document.getElementById('legend-gradient');
-    const legendLabels = document.querySelector('.legend-labels');
+    const legendBar = document.getElementById('legend-bar');
+    const legendScaleEl = document.getElementById('legend-scale');
+    const legendLabel = document.getElementById('legend-label');
 
     /**
      * Load data from JSON file
      */
     async function loadData() {
         try {
-            const response = await fetch('data/scdb-votes.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            // Prefer the columnar manifest; fall back to the single JSON file (preprocess.js --json)
+            const response = await fetch('data/scdb-manifest.json');
+            if (response.ok) {
+                data = await response.json();
+                data.cases = [];
+            } else {
+                const jsonResponse = await fetch('data/scdb-votes.json');
+                if (!jsonResponse.ok) {
+                    throw new Error(`HTTP error! status: ${jsonResponse.status}`);
+                }
+                data = await jsonResponse.json();
+                data.categories = collectCategories(data.cases);
+                shareCases(data.cases);
             }
-            data = await response.json();
 
             // Initialize slider bounds
             yearStartSlider.min = data.metadata.minTerm;
@@ -70,29 +626,451 @@
             yearEndSlider.min = data.metadata.minTerm;
             yearEndSlider.max = data.metadata.maxTerm;
 
-            // Default to 2005-present
-            yearStart = 2005;
-            yearEnd = data.metadata.maxTerm;
+            populateCourtDropdown();
 
-            yearStartSlider.value = yearStart;
-            yearEndSlider.value = yearEnd;
-
-            yearStartDisplay.textContent = yearStart;
-            yearEndDisplay.textContent = yearEnd;
+            // Restore the view from the URL (defaults to 2005-present)
+            applyUrlState();
+            syncControls();
+            writeUrlState(true);
 
             loadingEl.classList.add('hidden');
             renderMatrix();
         } catch (error) {
-            loadingEl.textContent = `Error loading data: ${error.message}. Make sure to run the preprocessing script first.`;
-            console.error('Error loading data:', error);
+            showLoadError(error);
+        }
+    }
+
+    /**
+     * Show a data loading error in place of the matrix
+     */
+    function showLoadError(error) {
+        loadingEl.textContent = `Error loading data: ${error.message}. Make sure to run the preprocessing script first.`;
+        loadingEl.classList.remove('hidden');
+        console.error('Error loading data:', error);
+    }
+
+    /**
+     * Load the columnar chunks overlapping a term range. Returns null when they are
+     * all loaded already (or the data came from the single JSON file), otherwise a
+     * promise that resolves once they are.
+     */
+    function loadTerms(startTerm, endTerm) {
+        if (!data.chunks) return null;
+        const missing = data.chunks.filter(chunk =>
+            !chunk.loaded && chunk.startTerm <= endTerm && chunk.endTerm >= startTerm);
+        if (missing.length === 0) return null;
+        return Promise.all(missing.map(loadChunk));
+    }
+
+    /**
+     * Fetch and decode one chunk, sharing the request between concurrent callers
+     */
+    function loadChunk(chunk) {
+        if (!chunkRequests.has(chunk.file)) {
+            const request = fetch(`data/${chunk.file}`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP error! status: ${response.status}`);
+                    }
+                    return response.arrayBuffer();
+                })
+                .then(buffer => {
+                    const cases = decodeChunk(buffer);
+                    data.cases = data.cases.concat(cases).sort((a, b) => a.term - b.term);
+                    chunk.loaded = true;
+                    shareCases(cases);
+                })
+                .catch(error => {
+                    chunkRequests.delete(chunk.file); // allow a retry on the next render
+                    throw error;
+                });
+            chunkRequests.set(chunk.file, request);
+        }
+        return chunkRequests.get(chunk.file);
+    }
+
+    /**
+     * Start the aggregation worker. Without worker support (or if the worker fails to
+     * load, e.g. from a file:// page) matrices are aggregated on the main thread.
+     */
+    function setupWorker() {
+        if (typeof Worker === 'undefined') return;
+
+        try {
+            aggregationWorker = new Worker('concurrence-worker.js');
+        } catch (error) {
+            console.warn('Aggregation worker unavailable, using the main thread:', error);
+            return;
+        }
+
+        aggregationWorker.addEventListener('message', (event) => {
+            // Drop results that a newer query has already superseded
+            if (event.data.id !== latestQueryId) return;
+            drawMatrix(event.data, pendingRenderOptions);
+        });
+
+        aggregationWorker.addEventListener('error', (event) => {
+            console.warn('Aggregation worker failed, using the main thread:', event.message);
+            aggregationWorker.terminate();
+            aggregationWorker = null;
+            if (data) renderMatrix(pendingRenderOptions);
+        });
+    }
+
+    /**
+     * Make newly loaded cases available to aggregation: reset the main-thread term
+     * indexes and send the fields the worker needs
+     */
+    function shareCases(cases) {
+        termIndexes = {};
+        if (!aggregationWorker) return;
+
+        aggregationWorker.postMessage({
+            type: 'cases',
+            cases: cases.map(({ term, naturalCourt, issueArea, issue, decisionType, lawType, votes, directions }) =>
+                ({ term, naturalCourt, issueArea, issue, decisionType, lawType, votes, directions }))
+        });
+    }
+
+    /**
+     * Decode a columnar chunk (layout documented in scripts/preprocess.js) into case objects
+     */
+    function decodeChunk(buffer) {
+        const [magic, version, caseCount, voteCount, stringBytes] = new Uint32Array(buffer, 0, 5);
+        if (magic !== CHUNK_MAGIC || version !== data.version) {
+            throw new Error('Unrecognized data chunk format');
+        }
+
+        let offset = 20;
+        function column(Type, length) {
+            const array = new Type(buffer, offset, length);
+            offset += array.byteLength;
+            return array;
+        }
+        const issue = column(Uint32Array, caseCount);
+        const voteOffset = column(Uint32Array, caseCount + 1);
+        const term = column(Uint16Array, caseCount);
+        const naturalCourt = column(Uint16Array, caseCount);
+        const issueArea = column(Uint8Array, caseCount);
+        const decisionType = column(Uint8Array, caseCount);
+        const lawType = column(Uint8Array, caseCount);
+        const voteJustice = column(Uint8Array, voteCount);
+        const voteCode = column(Uint8Array, voteCount);
+        const strings = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, offset, stringBytes)));
+
+        const cases = new Array(caseCount);
+        for (let i = 0; i < caseCount; i++) {
+            const votes = {};
+            const directions = {};
+            for (let v = voteOffset[i]; v < voteOffset[i + 1]; v++) {
+                const justice = data.justiceIds[voteJustice[v]];
+                votes[justice] = voteCode[v] & 3;
+                const direction = voteCode[v] >> 2;
+                if (direction !== 0) directions[justice] = direction;
+            }
+            const [id, caseName, usCite, dateDecision] = strings[i];
+            cases[i] = {
+                id,
+                term: term[i],
+                naturalCourt: naturalCourt[i] || null,
+                caseName,
+                usCite,
+                dateDecision,
+                issueArea: issueArea[i] || null,
+                issue: issue[i] || null,
+                decisionType: decisionType[i] || null,
+                lawType: lawType[i] || null,
+                votes,
+                directions
+            };
         }
+        return cases;
     }
 
     /**
-     * Filter cases by year range
+     * Filter cases by year range (or natural courts) and case categories
      */
     function filterCases() {
-        return data.cases.filter(c => c.term >= yearStart && c.term <= yearEnd);
+        return data.cases.filter(c => inSelectedPeriod(c) && matchesCaseFilters(c));
+    }
+
+    /**
+     * Check a case against the active issue area, issue, decision type and law type filters
+     */
+    function matchesCaseFilters(c) {
+        for (const [field, value] of Object.entries(caseFilters)) {
+            if (value !== null && c[field] !== value) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Fill a category select with the codes present in the data, labelled from the codebook.
+     * Returns the code left selected (null when the requested code is not available).
+     */
+    function fillCategorySelect(select, codes, labels, selected) {
+        select.innerHTML = '<option value="">All</option>';
+        for (const code of codes) {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = labels[code] || `Code ${code}`;
+            select.appendChild(option);
+        }
+        const available = codes.includes(selected);
+        select.value = available ? selected : '';
+        return available ? selected : null;
+    }
+
+    /**
+     * Collect the distinct non-null values of a case field, sorted ascending
+     */
+    function collectCodes(cases, field) {
+        const codes = new Set();
+        for (const c of cases) {
+            if (c[field] !== null && c[field] !== undefined) codes.add(c[field]);
+        }
+        return Array.from(codes).sort((a, b) => a - b);
+    }
+
+    /**
+     * Collect the category codes present in the data, in the shape the preprocessor
+     * writes to the manifest ({ issueArea, decisionType, lawType, issues: { area: [...] } })
+     */
+    function collectCategories(cases) {
+        const issues = {};
+        for (const area of collectCodes(cases, 'issueArea')) {
+            issues[area] = collectCodes(cases.filter(c => c.issueArea === area), 'issue');
+        }
+        return {
+            issueArea: collectCodes(cases, 'issueArea'),
+            decisionType: collectCodes(cases, 'decisionType'),
+            lawType: collectCodes(cases, 'lawType'),
+            issues
+        };
+    }
+
+    /**
+     * Populate the category filter selects from the data's category codes
+     */
+    function populateCategorySelects() {
+        caseFilters.issueArea = fillCategorySelect(issueAreaSelect,
+            data.categories.issueArea, ISSUE_AREAS, caseFilters.issueArea);
+        caseFilters.decisionType = fillCategorySelect(decisionTypeSelect,
+            data.categories.decisionType, DECISION_TYPES, caseFilters.decisionType);
+        caseFilters.lawType = fillCategorySelect(lawTypeSelect,
+            data.categories.lawType, LAW_TYPES, caseFilters.lawType);
+        updateIssueOptions();
+    }
+
+    /**
+     * Limit the issue select to issues within the chosen issue area
+     */
+    function updateIssueOptions() {
+        if (caseFilters.issueArea === null) {
+            caseFilters.issue = fillCategorySelect(issueSelect, [], {}, null);
+            issueSelect.disabled = true;
+            return;
+        }
+
+        const issues = data.categories.issues[caseFilters.issueArea] || [];
+        caseFilters.issue = fillCategorySelect(issueSelect, issues, ISSUES, caseFilters.issue);
+        issueSelect.disabled = false;
+    }
+
+    /**
+     * Read the view state from the URL query string, falling back to defaults
+     */
+    function applyUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const { minTerm, maxTerm } = data.metadata;
+
+        function parseTerm(value, fallback) {
+            const term = parseInt(value, 10);
+            return isNaN(term) ? fallback : Math.min(maxTerm, Math.max(minTerm, term));
+        }
+
+        yearStart = parseTerm(params.get('from'), Math.max(minTerm, config.defaultStartTerm));
+        yearEnd = parseTerm(params.get('to'), maxTerm);
+        if (yearStart > yearEnd) {
+            [yearStart, yearEnd] = [yearEnd, yearStart];
+        }
+
+        const courtIds = new Set((data.naturalCourts || []).map(court => court.id));
+        const courts = (params.get('courts') || '').split(',')
+            .map(id => parseInt(id, 10))
+            .filter(id => courtIds.has(id));
+        selectedCourts = courts.length > 0 ? new Set(courts) : null;
+        snapToSelectedCourts();
+
+        const min = parseInt(params.get('min'), 10);
+        minCases = isNaN(min) || min < 1 ? 1 : min;
+
+        metric = METRICS[params.get('metric')] ? params.get('metric') : 'majority';
+        ordering = ORDERINGS[params.get('order')] ? params.get('order') : 'seniority';
+        showDendrogram = params.get('dendrogram') === '1';
+        groupBy = ['party', 'president'].includes(params.get('group')) ? params.get('group') : 'none';
+        expandedGroups.clear();
+        if (groupBy !== 'none') {
+            (params.get('expand') || '').split(',').filter(Boolean).forEach(key => expandedGroups.add(key));
+        }
+
+        uncertaintyMode = UNCERTAINTY_MODES.includes(params.get('uncertainty')) ? params.get('uncertainty') : 'fade';
+        colorScheme = COLOR_SCHEMES[params.get('colors')] ? params.get('colors') : 'redgreen';
+        colorDomain = params.get('domain') === 'fixed' ? 'fixed' : 'relative';
+        const width = parseInt(params.get('maxwidth'), 10);
+        maxIntervalWidth = isNaN(width) || width < 1 || width > 100 ? 0.3 : width / 100;
+
+        for (const [field, param] of Object.entries(FILTER_PARAMS)) {
+            const code = parseInt(params.get(param), 10);
+            caseFilters[field] = isNaN(code) ? null : code;
+        }
+
+        selectedJustices = params.has('justices')
+            ? new Set(params.get('justices').split(',').filter(Boolean))
+            : null;
+
+        // Justice ids that open a panel must exist, or the panel would trace an unknown justice
+        const justiceParam = name => (Object.hasOwn(data.justices, params.get(name)) ? params.get(name) : null);
+        const pairParam = name => {
+            const ids = (params.get(name) || '').split(',').filter(Boolean);
+            return ids.length === 2 && ids.every(id => Object.hasOwn(data.justices, id)) ? ids : null;
+        };
+
+        drilldownPair = pairParam('pair');
+        trendPair = pairParam('trend');
+
+        const compare = (params.get('compare') || '').match(/^(\d+)-(\d+),(\d+)-(\d+)$/);
+        showCompare = compare !== null;
+        compareRanges = compare
+            ? { a: [parseTerm(compare[1]), parseTerm(compare[2])].sort((x, y) => x - y),
+                b: [parseTerm(compare[3]), parseTerm(compare[4])].sort((x, y) => x - y) }
+            : null;
+        compareMode = params.get('comparemode') === 'side' ? 'side' : 'diff';
+
+        showNetwork = params.get('network') === '1';
+        const edges = parseInt(params.get('edges'), 10);
+        networkThreshold = isNaN(edges) || edges < 0 || edges > 100 ? 0.7 : edges / 100;
+        showSwing = params.get('swing') === '1';
+        showSplits = params.get('splits') === '1';
+        splitsJustice = justiceParam('dissent');
+        splitsMeasure = params.get('splitsby') === 'solo' ? 'solo' : 'rate';
+        showIdeal = params.get('ideal') === '1';
+        idealDimensions = params.get('idealdims') === '2' ? 2 : 1;
+        idealTrack = justiceParam('track');
+    }
+
+    /**
+     * Serialize the current view state into a query string (defaults are omitted)
+     */
+    function buildUrlQuery() {
+        const params = new URLSearchParams();
+        params.set('from', yearStart);
+        params.set('to', yearEnd);
+        if (selectedCourts !== null) params.set('courts', Array.from(selectedCourts).join(','));
+        if (selectedJustices !== null) params.set('justices', Array.from(selectedJustices).join(','));
+        if (minCases !== 1) params.set('min', minCases);
+        if (metric !== 'majority') params.set('metric', metric);
+        if (ordering !== 'seniority') params.set('order', ordering);
+        if (showDendrogram) params.set('dendrogram', '1');
+        if (groupBy !== 'none') params.set('group', groupBy);
+        if (expandedGroups.size > 0) params.set('expand', Array.from(expandedGroups).join(','));
+        if (uncertaintyMode !== 'fade') params.set('uncertainty', uncertaintyMode);
+        if (maxIntervalWidth !== 0.3) params.set('maxwidth', Math.round(maxIntervalWidth * 100));
+        if (colorScheme !== 'redgreen') params.set('colors', colorScheme);
+        if (colorDomain !== 'relative') params.set('domain', colorDomain);
+        for (const [field, param] of Object.entries(FILTER_PARAMS)) {
+            if (caseFilters[field] !== null) params.set(param, caseFilters[field]);
+        }
+        if (drilldownPair) params.set('pair', drilldownPair.join(','));
+        if (trendPair) params.set('trend', trendPair.join(','));
+        if (showCompare) params.set('compare', `${compareRanges.a.join('-')},${compareRanges.b.join('-')}`);
+        if (compareMode !== 'diff') params.set('comparemode', compareMode);
+        if (showNetwork) params.set('network', '1');
+        if (networkThreshold !== 0.7) params.set('edges', Math.round(networkThreshold * 100));
+        if (showSwing) params.set('swing', '1');
+        if (showSplits) params.set('splits', '1');
+        if (splitsJustice) params.set('dissent', splitsJustice);
+        if (splitsMeasure !== 'rate') params.set('splitsby', splitsMeasure);
+        if (showIdeal) params.set('ideal', '1');
+        if (idealDimensions !== 1) params.set('idealdims', idealDimensions);
+        if (idealTrack) params.set('track', idealTrack);
+
+        // Keep justice lists readable in shared links
+        return params.toString().replace(/%2C/g, ',');
+    }
+
+    /**
+     * Write the view state to the URL, adding a history entry unless replacing
+     */
+    function writeUrlState(replace) {
+        clearTimeout(urlUpdateTimeout);
+        const query = buildUrlQuery();
+        if (query === window.location.search.slice(1)) return;
+
+        const url = `${window.location.pathname}?${query}${window.location.hash}`;
+        if (replace) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+
+    /**
+     * Debounce URL updates so dragging a slider adds a single history entry
+     * (or, with replace, rewrites the current one)
+     */
+    function scheduleUrlUpdate(replace = false) {
+        clearTimeout(urlUpdateTimeout);
+        // Playback replaces the current entry rather than adding one per frame
+        urlUpdateTimeout = setTimeout(() => writeUrlState(replace || playTimer !== null), config.urlUpdateDelay);
+    }
+
+    /**
+     * Push the current state variables into the controls
+     */
+    function syncControls() {
+        setTermRange(yearStart, yearEnd);
+        updatePlaybackStatus();
+        updateCourtLabel();
+
+        minCasesInput.value = minCases;
+        metricSelect.value = metric;
+        uncertaintySelect.value = uncertaintyMode;
+        intervalWidthInput.value = Math.round(maxIntervalWidth * 100);
+        intervalWidthInput.disabled = uncertaintyMode === 'off';
+        colorSchemeSelect.value = colorScheme;
+        colorDomainSelect.value = colorDomain;
+        orderingSelect.value = ordering;
+        dendrogramToggle.checked = showDendrogram;
+        dendrogramToggle.disabled = ordering !== 'cluster';
+        groupBySelect.value = groupBy;
+        populateCategorySelects();
+
+        casePanel.classList.toggle('open', drilldownPair !== null);
+        trendContainer.hidden = trendPair === null;
+
+        compareToggle.checked = showCompare;
+        compareContainer.hidden = !showCompare;
+        compareModeSelect.value = compareMode;
+        syncCompareInputs();
+
+        networkToggle.checked = showNetwork;
+        networkContainer.hidden = !showNetwork;
+        networkThresholdInput.value = Math.round(networkThreshold * 100);
+        networkThresholdDisplay.textContent = `${Math.round(networkThreshold * 100)}%`;
+        if (!showNetwork) stopNetwork();
+
+        swingToggle.checked = showSwing;
+        swingContainer.hidden = !showSwing;
+
+        splitsToggle.checked = showSplits;
+        splitsMeasureSelect.value = splitsMeasure;
+        splitsContainer.hidden = !showSplits;
+
+        idealToggle.checked = showIdeal;
+        idealContainer.hidden = !showIdeal;
+        idealDimensionsSelect.value = idealDimensions;
+        idealTrackEl.hidden = idealTrack === null;
     }
 
     /**
@@ -106,8 +1084,14 @@
             }
         }
 
-        // Sort by first term (inauguration), then by name
-        return Array.from(justiceSet).sort((a, b) => {
+        return sortBySeniority(Array.from(justiceSet));
+    }
+
+    /**
+     * Sort justice ids by first term (inauguration), then by name
+     */
+    function sortBySeniority(justices) {
+        return justices.slice().sort((a, b) => {
             const aFirst = data.justices[a]?.firstTerm || 0;
             const bFirst = data.justices[b]?.firstTerm || 0;
             if (aFirst !== bFirst) return aFirst - bFirst;
@@ -115,26 +1099,14 @@
         });
     }
 
-    /**
-     * Count cases per justice in filtered cases
-     */
-    function countCasesPerJustice(cases) {
-        const counts = {};
-        for (const c of cases) {
-            for (const justice of Object.keys(c.votes)) {
-                counts[justice] = (counts[justice] || 0) + 1;
-            }
-        }
-        return counts;
-    }
-
     /**
      * Populate the justice dropdown with checkboxes
+     * (caseCounts maps each justice to their number of cases in the period)
      */
-    function populateJusticeDropdown(cases) {
-        const justices = getAllJusticesInRange(cases);
-        const caseCounts = countCasesPerJustice(cases);
-
+    function populateJusticeDropdown(justices, caseCounts) {
+        // Rebuilt after every selection change, so keep the keyboard position and search filter
+        const activeId = dropdownOptions.querySelector('.dropdown-option.active')?.dataset.justiceId;
+        const query = justiceSearch.value.toLowerCase();
         dropdownOptions.innerHTML = '';
 
         for (const justiceId of justices) {
@@ -144,12 +1116,18 @@
 
             const div = document.createElement('div');
             div.className = 'dropdown-option';
+            div.classList.toggle('hidden', !name.toLowerCase().includes(query));
+            div.id = `justice-option-${justiceId}`;
+            div.setAttribute('role', 'option');
             div.dataset.justiceId = justiceId;
             div.dataset.name = name.toLowerCase();
 
+            // The option carries the selection state for assistive technology; the checkbox is visual
             const checkbox = document.createElement('input');
             checkbox.type = 'checkbox';
             checkbox.id = `justice-${justiceId}`;
+            checkbox.tabIndex = -1;
+            checkbox.setAttribute('aria-hidden', 'true');
             checkbox.checked = selectedJustices === null || selectedJustices.has(justiceId);
             checkbox.addEventListener('change', () => handleJusticeToggle(justiceId, checkbox.checked));
 
@@ -176,6 +1154,13 @@
             dropdownOptions.appendChild(div);
         }
 
+        const active = document.getElementById(`justice-option-${activeId}`);
+        if (active && !active.classList.contains('hidden')) {
+            active.classList.add('active');
+            dropdownOptions.setAttribute('aria-activedescendant', active.id);
+        } else {
+            dropdownOptions.removeAttribute('aria-activedescendant');
+        }
         updateDropdownLabel();
     }
 
@@ -183,7 +1168,7 @@
      * Handle justice checkbox toggle
      */
     function handleJusticeToggle(justiceId, checked) {
-        const allJustices = getAllJusticesInRange(filterCases());
+        const allJustices = rangeJustices;
 
         if (checked) {
             if (selectedJustices === null) {
@@ -211,10 +1196,10 @@
     }
 
     /**
-     * Update dropdown button label
+     * Update dropdown button label and the options' selected state
      */
     function updateDropdownLabel() {
-        const allJustices = getAllJusticesInRange(filterCases());
+        const allJustices = rangeJustices;
         if (selectedJustices === null) {
             dropdownLabel.textContent = 'All Justices';
         } else if (selectedJustices.size === 0) {
@@ -226,15 +1211,18 @@
         } else {
             dropdownLabel.textContent = `${selectedJustices.size} of ${allJustices.length} Justices`;
         }
+
+        dropdownTrendBtn.disabled = selectedJustices === null || selectedJustices.size !== 2;
+
+        dropdownOptions.querySelectorAll('.dropdown-option').forEach(option => {
+            option.setAttribute('aria-selected', String(option.querySelector('input').checked));
+        });
     }
 
     /**
-     * Get justices who participated in the filtered cases, sorted by inauguration (first term)
-     * Applies the justice filter if set
+     * Narrow the justices in the period (sorted by inauguration) to the justice filter, if set
      */
-    function getActiveJustices(cases) {
-        const allJustices = getAllJusticesInRange(cases);
-
+    function getActiveJustices(allJustices) {
         // Apply justice filter
         if (selectedJustices === null) {
             return allJustices;
@@ -244,22 +1232,58 @@
     }
 
     /**
-     * Format justice label with years and party (for row labels)
+     * Format justice label with role, years and party (for row labels)
      */
     function formatJusticeLabel(justiceId) {
         const info = data.justices[justiceId];
         if (!info) return justiceId;
 
-        const name = info.name;
+        // Mark chief justices by the seat they held at the end of the selected range
+        const appointment = getAppointment(justiceId, yearEnd);
+        const name = appointment?.role === 'chief' ? `${info.name}, C.J.` : info.name;
         // Show "YYYY-" for currently serving justices (lastTerm >= maxTerm in data)
         const isCurrentlyServing = info.lastTerm >= data.metadata.maxTerm;
         const years = isCurrentlyServing ? `${info.firstTerm}-` : `${info.firstTerm}-${info.lastTerm}`;
-        const party = info.party || '';
-        const partyMarker = party === 'R' ? '(R)' : party === 'D' ? '(D)' : party === 'DR' ? '(DR)' : party === 'F' ? '(F)' : party === 'W' ? '(W)' : '';
+        const partyMarker = info.party ? `(${info.party})` : '';
 
         return `${name} ${years} ${partyMarker}`.trim();
     }
 
+    /**
+     * Format a justice's full name, falling back to the short SCDB-derived name
+     */
+    function formatJusticeFullName(justiceId) {
+        const info = data.justices[justiceId];
+        return info?.fullName || info?.name || justiceId;
+    }
+
+    /**
+     * Get the appointment (seat) a justice held in a given term: the latest one
+     * confirmed by then, or the first one for terms before any confirmation date
+     */
+    function getAppointment(justiceId, term) {
+        const appointments = data.justices[justiceId]?.appointments;
+        if (!appointments || appointments.length === 0) return null;
+
+        let current = appointments[0];
+        for (const appointment of appointments) {
+            if (appointment.confirmed && parseInt(appointment.confirmed, 10) <= term) {
+                current = appointment;
+            }
+        }
+        return current;
+    }
+
+    /**
+     * Describe one appointment, e.g. "Associate Justice · Ronald Reagan (Republican), confirmed 1981-09-21"
+     */
+    function formatAppointment(appointment) {
+        const role = appointment.role === 'chief' ? 'Chief Justice' : 'Associate Justice';
+        const party = data.metadata.parties?.[appointment.party] || appointment.party;
+        const confirmed = appointment.confirmed ? `, confirmed ${appointment.confirmed}` : ' (not confirmed)';
+        return `${role} · ${appointment.president} (${party})${confirmed}`;
+    }
+
     /**
      * Format justice name only (for column labels)
      */
@@ -269,317 +1293,3685 @@
     }
 
     /**
-     * Calculate concurrence matrix
+     * Calculate concurrence matrix using the active agreement metric
      */
     function calculateConcurrence(cases, justices) {
+        const { agreed, total } = Concurrence.countPairs(cases, justices, METRICS[metric].votesField);
+        return buildMatrix(agreed, total, justices.length, justices.map((_, i) => i));
+    }
+
+    /**
+     * Build matrix cells (counts, rate and 95% Wilson interval) from flat n*n
+     * agreement counts, for the justices at the given indices
+     */
+    function buildMatrix(agreed, total, n, indices) {
+        return indices.map(a => indices.map(b => {
+            const cell = { agreed: agreed[a * n + b], total: total[a * n + b] };
+            cell.rate = cell.total > 0 ? cell.agreed / cell.total : null;
+            return Object.assign(cell, wilsonInterval(cell.agreed, cell.total));
+        }));
+    }
+
+    /**
+     * Last name, used for alphabetical ordering and abbreviated labels (e.g. "H.L. Black" -> "Black")
+     */
+    function justiceSortName(justiceId) {
+        const parts = formatJusticeName(justiceId).replace(/\s*\(.*\)$/, '').split(' ');
+        return parts[parts.length - 1];
+    }
+
+    /**
+     * Compute the concurrence matrix and arrange justices by the selected ordering.
+     * Returns the ordered justices, the matching matrix and (for clustering) the dendrogram tree.
+     */
+    function orderJustices(justices, matrix) {
+        let order = justices.map((_, i) => i);
+        let tree = null;
+
+        if (ordering === 'alphabetical') {
+            order.sort((a, b) => justiceSortName(justices[a]).localeCompare(justiceSortName(justices[b])) || a - b);
+        } else if (ordering === 'party') {
+            const rank = (id) => {
+                const index = PARTY_ORDER.indexOf(data.justices[id]?.party);
+                return index === -1 ? PARTY_ORDER.length : index;
+            };
+            order.sort((a, b) => rank(justices[a]) - rank(justices[b]) || a - b);
+        } else if (ordering === 'cluster' && justices.length > 0) {
+            tree = clusterJustices(justices, matrix);
+            order = [];
+            (function collectLeaves(node) {
+                if (node.children) {
+                    node.children.forEach(collectLeaves);
+                } else {
+                    order.push(node.index);
+                }
+            })(tree);
+        }
+
+        return {
+            justices: order.map(i => justices[i]),
+            matrix: order.map(i => order.map(j => matrix[i][j])),
+            tree
+        };
+    }
+
+    /**
+     * Average-linkage agglomerative clustering on concurrence distances (1 - rate).
+     * Pairs below the minimum case threshold are treated as unknown and ignored when
+     * averaging; clusters with no known pairwise distance are joined last at distance 1.
+     */
+    function clusterJustices(justices, matrix) {
         const n = justices.length;
-        const matrix = [];
-        const justiceIndex = new Map(justices.map((j, i) => [j, i]));
 
-        // Initialize matrix
+        // Sum and count of known leaf-pair distances between clusters
+        const sum = [];
+        const count = [];
         for (let i = 0; i < n; i++) {
-            matrix[i] = [];
+            sum[i] = [];
+            count[i] = [];
             for (let j = 0; j < n; j++) {
-                matrix[i][j] = { agreed: 0, total: 0 };
+                const cell = matrix[i][j];
+                const known = i !== j && cell.rate !== null && cell.total >= minCases;
+                sum[i][j] = known ? 1 - cell.rate : 0;
+                count[i][j] = known ? 1 : 0;
             }
         }
 
-        // Count agreements
-        for (const c of cases) {
-            const voters = Object.keys(c.votes).filter(j => justiceIndex.has(j));
-
-            for (let i = 0; i < voters.length; i++) {
-                for (let j = i; j < voters.length; j++) {
-                    const ji = justiceIndex.get(voters[i]);
-                    const jj = justiceIndex.get(voters[j]);
-                    const voteI = c.votes[voters[i]];
-                    const voteJ = c.votes[voters[j]];
-
-                    // Count total cases where both participated
-                    matrix[ji][jj].total++;
-                    matrix[jj][ji].total++;
-
-                    // Count agreements (both majority or both dissent)
-                    if (voteI === voteJ) {
-                        matrix[ji][jj].agreed++;
-                        matrix[jj][ji].agreed++;
+        const nodes = justices.map((justice, index) => ({ justice, index, height: 0, minIndex: index }));
+        const active = nodes.map((_, i) => i);
+
+        while (active.length > 1) {
+            let best = null;
+            for (let x = 0; x < active.length; x++) {
+                for (let y = x + 1; y < active.length; y++) {
+                    const a = active[x], b = active[y];
+                    const distance = count[a][b] > 0 ? sum[a][b] / count[a][b] : 1;
+                    if (best === null || distance < best.distance) {
+                        best = { a, b, distance };
                     }
                 }
             }
-        }
 
-        // Calculate rates
-        for (let i = 0; i < n; i++) {
-            for (let j = 0; j < n; j++) {
-                const cell = matrix[i][j];
-                cell.rate = cell.total > 0 ? cell.agreed / cell.total : null;
+            const { a, b, distance } = best;
+            // Keep the more senior branch on top so the seriation reads in a stable order
+            const children = nodes[a].minIndex <= nodes[b].minIndex ? [nodes[a], nodes[b]] : [nodes[b], nodes[a]];
+            nodes[a] = {
+                children,
+                height: Math.max(distance, nodes[a].height, nodes[b].height),
+                minIndex: Math.min(nodes[a].minIndex, nodes[b].minIndex)
+            };
+
+            for (const k of active) {
+                sum[a][k] = sum[k][a] = sum[a][k] + sum[b][k];
+                count[a][k] = count[k][a] = count[a][k] + count[b][k];
             }
+            active.splice(active.indexOf(b), 1);
         }
 
-        return matrix;
+        return nodes[active[0]];
     }
 
     /**
-     * Update the legend to show current min/max values
+     * Bloc a justice belongs to under the active grouping (appointing party or president)
      */
-    function updateLegend(minRate, maxRate) {
-        const minPct = (minRate * 100).toFixed(0);
-        const midPct = (((minRate + maxRate) / 2) * 100).toFixed(0);
-        const maxPct = (maxRate * 100).toFixed(0);
-
-        // Update gradient to match color scale
-        legendGradient.style.background = `linear-gradient(to right, #d32f2f, #f5f5f5, #388e3c)`;
-
-        // Update labels
-        legendLabels.innerHTML = `
-            <span>${minPct}%</span>
-            <span>${midPct}%</span>
-            <span>${maxPct}%</span>
-        `;
+    function getGroupKey(justiceId) {
+        const info = data.justices[justiceId];
+        return (groupBy === 'party' ? info?.party : info?.president) || 'Unknown';
     }
 
     /**
-     * Render the concurrence matrix
+     * Collapse the ordered matrix into blocs of justices sharing an appointing party or
+     * president. Bloc rates pool the agreements and shared cases of the underlying pairs
+     * that meet the minimum case threshold; a bloc's diagonal is its within-group rate.
+     * Expanded blocs keep their justices as individual rows.
+     * Returns { justices: row keys, matrix, tree: null, units: Map(bloc row key -> bloc), blocCount }
      */
-    function renderMatrix() {
-        matrixEl.innerHTML = '';
-
-        const cases = filterCases();
-
-        // Populate the justice dropdown with current time range
-        populateJusticeDropdown(cases);
-
-        const justices = getActiveJustices(cases);
-        const matrix = calculateConcurrence(cases, justices);
+    function groupJustices(ordered) {
+        const index = new Map(ordered.justices.map((j, i) => [j, i]));
 
-        // Update stats
-        justiceCountEl.textContent = `${justices.length} justices`;
-        caseCountEl.textContent = `${cases.length} cases`;
+        const rank = groupBy === 'party'
+            ? (key) => (PARTY_ORDER.includes(key) ? PARTY_ORDER.indexOf(key) : PARTY_ORDER.length)
+            : (key, members) => d3.min(members, id => data.justices[id]?.firstTerm);
+        const groups = d3.groups(ordered.justices, getGroupKey)
+            .sort((a, b) => rank(a[0], a[1]) - rank(b[0], b[1]));
 
-        if (justices.length === 0) {
-            matrixEl.innerHTML = '<p style="text-align:center;color:var(--text-muted);">No cases found in this time period.</p>';
-            return;
+        const units = new Map();
+        const rows = [];
+        for (const [key, members] of groups) {
+            if (expandedGroups.has(key)) {
+                for (const id of members) rows.push({ key: id, members: [id] });
+                continue;
+            }
+            const name = groupBy === 'party' ? data.metadata.parties?.[key] || key : key;
+            const shortName = groupBy === 'party' ? key : key.split(' ').pop();
+            const bloc = {
+                key: `bloc:${key}`,
+                groupKey: key,
+                members,
+                label: `${name} appointees (${members.length})`,
+                shortLabel: `${shortName} (${members.length})`
+            };
+            units.set(bloc.key, bloc);
+            rows.push(bloc);
         }
 
-        // Calculate min/max concurrence rates for dynamic color scale
-        // Only consider cells that meet the minimum cases threshold
-        let minRate = 1, maxRate = 0;
-        for (let i = 0; i < justices.length; i++) {
-            for (let j = 0; j < justices.length; j++) {
-                if (i !== j && matrix[i][j].rate !== null && matrix[i][j].total >= minCases) {
-                    minRate = Math.min(minRate, matrix[i][j].rate);
-                    maxRate = Math.max(maxRate, matrix[i][j].rate);
+        const pool = (a, b) => {
+            if (a === b && !units.has(a.key)) return ordered.matrix[index.get(a.key)][index.get(a.key)];
+
+            let agreed = 0, total = 0, pairs = 0;
+            for (const x of a.members) {
+                for (const y of b.members) {
+                    // Within a bloc, count each pair once
+                    if (a === b ? index.get(x) >= index.get(y) : x === y) continue;
+                    const cell = ordered.matrix[index.get(x)][index.get(y)];
+                    if (cell.rate === null || cell.total < minCases) continue;
+                    agreed += cell.agreed;
+                    total += cell.total;
+                    pairs++;
                 }
             }
-        }
+            return { agreed, total, pairs, rate: total > 0 ? agreed / total : null, ...wilsonInterval(agreed, total) };
+        };
 
-        // Update color scale with dynamic range
-        const midRate = (minRate + maxRate) / 2;
-        colorScale = d3.scaleLinear()
-            .domain([minRate, midRate, maxRate])
-            .range(['#d32f2f', '#f5f5f5', '#388e3c']);
+        return {
+            justices: rows.map(row => row.key),
+            matrix: rows.map(a => rows.map(b => pool(a, b))),
+            tree: null,
+            units,
+            blocCount: groups.length
+        };
+    }
 
-        // Update legend
-        updateLegend(minRate, maxRate);
+    /**
+     * Expand a collapsed bloc, or collapse the bloc an expanded justice belongs to
+     */
+    function toggleBloc(rowKey, units) {
+        const groupKey = units.has(rowKey) ? units.get(rowKey).groupKey : getGroupKey(rowKey);
+        if (expandedGroups.has(groupKey)) {
+            expandedGroups.delete(groupKey);
+        } else {
+            expandedGroups.add(groupKey);
+        }
+        hideTooltip();
+        renderMatrix({ animate: true });
+    }
+
+    /**
+     * Show the tooltip for a cell involving at least one bloc (pooled counts)
+     */
+    function showBlocTooltip(event, units, row1, row2, cell) {
+        showTooltipContent(event, formatBlocTooltip(units, row1, row2, cell));
+    }
+
+    /**
+     * Tooltip content for a cell involving at least one bloc
+     */
+    function formatBlocTooltip(units, row1, row2, cell) {
+        const name = row => (units.has(row) ? units.get(row).label : formatJusticeFullName(row));
+        const title = row1 === row2 ? `Within ${name(row1)}` : `${name(row1)} & ${name(row2)}`;
+
+        const details = cell.rate === null
+            ? `<div class="tooltip-row"><span>No justice pairs with ${minCases} or more shared cases</span></div>`
+            : `
+                <div class="tooltip-row highlight">
+                    <span>Pooled Rate:</span>
+                    <span class="value">${(cell.rate * 100).toFixed(1)}%</span>
+                </div>
+                <div class="tooltip-row">
+                    <span>Justice Pairs:</span>
+                    <span class="value">${cell.pairs}</span>
+                </div>
+                <div class="tooltip-row">
+                    <span>Agreed / Shared Votes:</span>
+                    <span class="value">${cell.agreed} / ${cell.total}</span>
+                </div>
+            `;
+
+        return `
+            <div class="tooltip-title">${title}</div>
+            ${details}
+            <div class="tooltip-metric">${METRICS[metric].label} &middot; click to expand</div>
+        `;
+    }
+
+    /**
+     * Classical (Torgerson) multidimensional scaling of justices on concurrence distances
+     * (1 - rate). cellAt(i, j) returns a cell with rate and total; pairs below the minimum
+     * case threshold are unknown and take the shortest-path distance through known pairs,
+     * which places justices who never sat together via the colleagues they shared.
+     * Returns { coords, imputed }: one coordinate array per justice, first axis carrying the
+     * most variance, and the number of pairs whose distance had to be inferred.
+     */
+    function scaleJustices(n, cellAt, dimensions) {
+        const distance = [];
+        let imputed = 0;
+        for (let i = 0; i < n; i++) {
+            distance[i] = [];
+            for (let j = 0; j < n; j++) {
+                const cell = i === j ? null : cellAt(i, j);
+                const known = i === j || (cell.rate !== null && cell.total >= minCases);
+                distance[i][j] = i === j ? 0 : known ? 1 - cell.rate : Infinity;
+                if (!known && i < j) imputed++;
+            }
+        }
+
+        // Complete unknown distances with shortest paths (Floyd-Warshall)
+        for (let k = 0; k < n; k++) {
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    const via = distance[i][k] + distance[k][j];
+                    if (via < distance[i][j]) distance[i][j] = via;
+                }
+            }
+        }
+
+        // Justices with no path between them at all are placed as far apart as any known pair
+        let maxDistance = 0;
+        for (const row of distance) {
+            for (const d of row) {
+                if (d !== Infinity) maxDistance = Math.max(maxDistance, d);
+            }
+        }
+        const squared = distance.map(row => row.map(d => (d === Infinity ? maxDistance || 1 : d) ** 2));
+
+        // Double-centre the squared distances: B = -1/2 J D^2 J
+        const rowMeans = squared.map(row => d3.mean(row));
+        const grandMean = d3.mean(rowMeans);
+        const b = squared.map((row, i) => row.map((d, j) => -0.5 * (d - rowMeans[i] - rowMeans[j] + grandMean)));
+
+        // Leading eigenvectors by power iteration with deflation. B can have negative
+        // eigenvalues (distances are not Euclidean), so iterate on B + shift * I, with the
+        // shift bounding them from below, to find the largest rather than the largest in magnitude.
+        const shift = d3.max(b, row => d3.sum(row, Math.abs)) || 0;
+        const coords = Array.from({ length: n }, () => []);
+        for (let dim = 0; dim < dimensions; dim++) {
+            let vector = Array.from({ length: n }, (_, i) => Math.sin(i + 1));
+            let eigenvalue = 0;
+            for (let iteration = 0; iteration < config.mdsIterations; iteration++) {
+                const next = b.map((row, i) => d3.sum(row, (value, j) => value * vector[j]) + shift * vector[i]);
+                const norm = Math.hypot(...next);
+                if (norm === 0) break;
+                const converged = next.every((value, i) => Math.abs(value / norm - vector[i]) < 1e-9);
+                vector = next.map(value => value / norm);
+                eigenvalue = norm - shift;
+                if (converged) break;
+            }
+
+            const scale = Math.sqrt(Math.max(0, eigenvalue));
+            for (let i = 0; i < n; i++) {
+                coords[i][dim] = vector[i] * scale;
+                for (let j = 0; j < n; j++) b[i][j] -= eigenvalue * vector[i] * vector[j];
+            }
+        }
+
+        return { coords, imputed };
+    }
+
+    /**
+     * Liberal share of each justice's directional votes: counts maps justice -> [liberal, total]
+     */
+    function countLiberalVotes(cases, counts = new Map()) {
+        for (const c of cases) {
+            for (const [justice, direction] of Object.entries(c.directions || {})) {
+                if (!counts.has(justice)) counts.set(justice, [0, 0]);
+                const entry = counts.get(justice);
+                if (direction === 2) entry[0]++;
+                entry[1]++;
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * Orient the first scaling axis liberal-to-conservative: flip it when justices with a
+     * higher share of liberal votes sit to the right
+     */
+    function orientIdealPoints(justices, coords, liberalCounts) {
+        const known = justices
+            .map((id, i) => ({ x: coords[i][0], counts: liberalCounts.get(id) }))
+            .filter(p => p.counts && p.counts[1] > 0);
+        if (known.length < 2) return;
+
+        const meanX = d3.mean(known, p => p.x);
+        const meanShare = d3.mean(known, p => p.counts[0] / p.counts[1]);
+        const covariance = d3.sum(known, p => (p.x - meanX) * (p.counts[0] / p.counts[1] - meanShare));
+        if (covariance > 0) {
+            for (const point of coords) point[0] = -point[0];
+        }
+    }
+
+    /**
+     * Build the matrix color scale for the chosen scheme: over the observed range of rates
+     * (relative) or over 0-100% (fixed, so colors mean the same in every view)
+     */
+    function makeColorScale(minRate, maxRate) {
+        // With no pair above the minimum case threshold there is no observed range
+        const domain = colorDomain === 'fixed' || minRate > maxRate ? [0, 1] : [minRate, maxRate];
+        return d3.scaleSequential(COLOR_SCHEMES[colorScheme]).domain(domain);
+    }
+
+    /**
+     * Sample a color scale evenly across its domain as gradient stops ({ offset in %, color })
+     */
+    function colorStops(scale) {
+        const [low, high] = scale.domain();
+        return d3.range(config.gradientStops + 1).map(k => {
+            const t = k / config.gradientStops;
+            return { offset: t * 100, color: scale(low + t * (high - low)) };
+        });
+    }
+
+    /**
+     * Draw the legend for the matrix color scale: its gradient and percentage ticks across its domain
+     */
+    function updateLegend(scale) {
+        legendLabel.textContent = metric === 'direction' ? 'Direction Agreement:' : 'Concurrence Rate:';
+
+        const [low, high] = scale.domain();
+        const width = legendBar.clientWidth || config.legendWidth;
+        const barHeight = 16;
+        const svg = d3.select(legendScaleEl)
+            .attr('width', width)
+            .attr('height', barHeight + 20)
+            .attr('aria-label', `Colors from ${(low * 100).toFixed(0)}% to ${(high * 100).toFixed(0)}% agreement`);
+        svg.selectAll('*').remove();
+
+        svg.append('defs')
+            .append('linearGradient')
+            .attr('id', 'legend-gradient')
+            .selectAll('stop')
+            .data(colorStops(scale))
+            .join('stop')
+            .attr('offset', d => `${d.offset}%`)
+            .attr('stop-color', d => d.color);
+
+        svg.append('rect')
+            .attr('width', width)
+            .attr('height', barHeight)
+            .attr('rx', 4)
+            .attr('fill', 'url(#legend-gradient)');
+
+        const x = d3.scaleLinear()
+            .domain([low, high])
+            .range([0, width]);
+        svg.append('g')
+            .attr('class', 'trend-axis')
+            .attr('transform', `translate(0, ${barHeight})`)
+            .call(d3.axisBottom(x)
+                .ticks(config.legendTicks)
+                .tickSizeOuter(0)
+                .tickFormat(d3.format('.0%')));
+    }
+
+    /**
+     * Render the concurrence matrix: aggregate the current view (in the worker when
+     * available) and draw the result. Only the newest request is drawn.
+     */
+    function renderMatrix(options = {}) {
+        // Fetch the chunks for the selected terms first; the render reruns with the current state once they arrive
+        const loading = loadTerms(yearStart, yearEnd);
+        if (loading) {
+            caseCountEl.textContent = 'Loading cases...';
+            loading.then(() => renderMatrix(options), showLoadError);
+            return;
+        }
+
+        const query = {
+            id: ++latestQueryId,
+            startTerm: yearStart,
+            endTerm: yearEnd,
+            courts: selectedCourts === null ? null : Array.from(selectedCourts),
+            filters: { ...caseFilters },
+            votesField: METRICS[metric].votesField
+        };
+        pendingRenderOptions = options;
+
+        if (aggregationWorker) {
+            aggregationWorker.postMessage({ type: 'query', ...query });
+        } else {
+            drawMatrix(Concurrence.aggregate(data.cases, query, termIndexes), options);
+        }
+    }
+
+    /**
+     * Draw the matrix from an aggregation result (see Concurrence.aggregate)
+     */
+    function drawMatrix(result, options) {
+        const resultIndex = new Map(result.justices.map((j, i) => [j, i]));
+        rangeJustices = sortBySeniority(result.justices);
+        pruneSelectedJustices(rangeJustices);
+
+        // Populate the justice dropdown with current time range
+        populateJusticeDropdown(rangeJustices,
+            Object.fromEntries(result.justices.map((j, i) => [j, result.caseCounts[i]])));
+
+        const active = getActiveJustices(rangeJustices);
+        const ordered = orderJustices(active,
+            buildMatrix(result.agreed, result.total, result.justices.length, active.map(j => resultIndex.get(j))));
+        const { justices, matrix } = ordered;
+        currentView = { justices, matrix, tree: ordered.tree, caseCount: result.caseCount };
+
+        scheduleUrlUpdate(options.replaceUrl);
+
+        // Update stats
+        justiceCountEl.textContent = `${justices.length} justices`;
+        caseCountEl.textContent = `${result.caseCount} cases`;
+
+        updateCasePanel();
+        renderTrendChart();
+        renderComparison();
+        renderNetwork();
+        renderSwingPanel();
+        renderSplitsPanel();
+        renderIdealPoints();
+
+        if (justices.length === 0) {
+            canvasView = null;
+            renderedMatrix = null;
+            focusedCell = null;
+            closeCellCard();
+            matrixEl.innerHTML = '<p style="text-align:center;color:var(--text-muted);">No cases found in this time period.</p>';
+            renderMatrixTable();
+            return;
+        }
+
+        // Calculate min/max concurrence rates for dynamic color scale
+        // Only consider cells that meet the minimum cases threshold
+        let minRate = 1, maxRate = 0;
+        for (let i = 0; i < justices.length; i++) {
+            for (let j = 0; j < justices.length; j++) {
+                if (i !== j && matrix[i][j].rate !== null && matrix[i][j].total >= minCases) {
+                    minRate = Math.min(minRate, matrix[i][j].rate);
+                    maxRate = Math.max(maxRate, matrix[i][j].rate);
+                }
+            }
+        }
+
+        // Update color scale with the scheme and domain in use
+        colorScale = makeColorScale(minRate, maxRate);
+        updateLegend(colorScale);
+
+        currentView.maxRate = maxRate; // kept for off-screen SVG exports
+        if (groupBy !== 'none') {
+            // Blocs keep the matrix small, so the grouped view is always drawn as SVG
+            const grouped = groupJustices(ordered);
+            justiceCountEl.textContent = `${justices.length} justices in ${grouped.blocCount} bloc${grouped.blocCount === 1 ? '' : 's'}`;
+            canvasView = null;
+            renderedMatrix = grouped;
+            renderSvgMatrix(matrixEl, grouped, maxRate, options.animate === true);
+        } else if (justices.length > config.canvasThreshold) {
+            renderedMatrix = ordered;
+            renderCanvasMatrix(ordered, maxRate);
+        } else {
+            canvasView = null;
+            renderedMatrix = ordered;
+            renderSvgMatrix(matrixEl, ordered, maxRate, options.animate === true);
+        }
+
+        closeCellCard();
+        restoreFocusedCell();
+        renderMatrixTable();
+    }
+
+    /**
+     * Draw the matrix as SVG into a container, animating cells and labels into place when asked.
+     * In the grouped view ordered.units maps bloc row keys to their blocs (see groupJustices).
+     */
+    function renderSvgMatrix(container, ordered, maxRate, animate) {
+        const { justices, matrix } = ordered;
+        const units = ordered.units || new Map();
+        const isBloc = row => units.has(row);
+        const isSelf = d => d.i === d.j && !isBloc(justices[d.i]);
+
+        // Narrow screens get abbreviated labels in a smaller margin; exports always get the full ones
+        const compact = container === matrixEl && isNarrowScreen();
+        const labelPadding = compact ? config.narrowLabelPadding : config.labelPadding;
+        // The dendrogram gets its own gutter to the left of the row labels
+        const dendrogramWidth = hasDendrogram(ordered) ? labelPadding : 0;
+        const left = dendrogramWidth + labelPadding;
 
         // Calculate dimensions
         const cellSize = Math.max(config.minCellSize,
             Math.min(config.maxCellSize,
-                Math.floor((window.innerWidth - 100 - config.labelPadding * 2) / justices.length)));
+                Math.floor((matrixWidth() - labelPadding * 2 - dendrogramWidth) / justices.length)));
 
         const matrixSize = cellSize * justices.length;
-        const width = matrixSize + config.labelPadding * 2;
-        const height = matrixSize + config.labelPadding * 2;
+        const width = matrixSize + labelPadding * 2 + dendrogramWidth;
+        const height = matrixSize + labelPadding * 2;
 
-        // Create SVG
-        const svg = d3.select(matrixEl)
-            .append('svg')
-            .attr('width', width)
+        // The export scratch copy gets its own pattern id so ids stay unique while both are in the page
+        const hatchId = container === matrixEl ? 'uncertainty-hatch' : 'export-uncertainty-hatch';
+
+        // Reuse the existing SVG so cells and labels can move instead of being rebuilt
+        let svg = d3.select(container).select('svg');
+        if (svg.empty()) {
+            container.innerHTML = '';
+            svg = d3.select(container).append('svg');
+            svg.append('defs')
+                .append('pattern')
+                .attr('id', hatchId)
+                .attr('class', 'uncertainty-hatch')
+                .attr('patternUnits', 'userSpaceOnUse')
+                .attr('width', 4)
+                .attr('height', 4)
+                .attr('patternTransform', 'rotate(45)')
+                .append('line')
+                .attr('x1', 0)
+                .attr('y1', 0)
+                .attr('x2', 0)
+                .attr('y2', 4);
+            const body = svg.append('g')
+                .attr('class', 'zoom-layer')
+                .append('g')
+                .attr('class', 'matrix-body');
+            body.append('g').attr('class', 'cell-layer');
+            body.append('g').attr('class', 'hatch-layer');
+            body.append('rect').attr('class', 'focus-ring').attr('visibility', 'hidden');
+            if (container === matrixEl) setupMatrixZoom(svg);
+        }
+        svg.attr('width', width)
             .attr('height', height);
+        if (container === matrixEl) {
+            matrixZoom.extent([[0, 0], [width, height]])
+                .translateExtent([[0, 0], [width, height]]);
+        }
 
-        const g = svg.append('g')
-            .attr('transform', `translate(${config.labelPadding}, ${config.labelPadding})`);
+        const g = svg.select('g.matrix-body')
+            .attr('transform', `translate(${left}, ${labelPadding})`);
+        g.select('rect.focus-ring')
+            .attr('width', cellSize)
+            .attr('height', cellSize);
 
-        // Draw cells
+        // Draw cells, keyed by justice pair so they keep their identity across re-orders
+        const cellData = [];
         for (let i = 0; i < justices.length; i++) {
             for (let j = 0; j < justices.length; j++) {
-                const cell = matrix[i][j];
-                const rect = g.append('rect')
+                cellData.push({ key: `${justices[i]}|${justices[j]}`, i, j, cell: matrix[i][j] });
+            }
+        }
+
+        const cells = g.select('g.cell-layer').selectAll('rect.matrix-cell')
+            .data(cellData, d => d.key)
+            .join(
+                enter => fadeIn(enter.append('rect')
                     .attr('class', 'matrix-cell')
-                    .attr('x', j * cellSize)
-                    .attr('y', i * cellSize)
+                    .attr('x', d => d.j * cellSize)
+                    .attr('y', d => d.i * cellSize)
                     .attr('width', cellSize)
-                    .attr('height', cellSize)
-                    .attr('data-i', i)
-                    .attr('data-j', j);
+                    .attr('height', cellSize), animate),
+                update => update,
+                exit => fadeOut(exit, animate));
+
+        cells.attr('data-i', d => d.i)
+            .attr('data-j', d => d.j)
+            .classed('diagonal', isSelf)
+            .classed('no-overlap', d => !isSelf(d) && (d.cell.rate === null || d.cell.total < minCases))
+            // Tooltip events
+            .on('mouseenter', (event, d) => {
+                if (isBloc(justices[d.i]) || isBloc(justices[d.j])) {
+                    showBlocTooltip(event, units, justices[d.i], justices[d.j], d.cell);
+                } else {
+                    showTooltip(event, justices[d.i], justices[d.j], d.cell, d.i === d.j);
+                }
+            })
+            .on('mousemove', (event) => {
+                moveTooltip(event);
+            })
+            .on('mouseleave', () => {
+                hideTooltip();
+            })
+            .on('click', (event, d) => {
+                if (lastPointerType === 'touch') {
+                    pinCell(d.i, d.j);
+                } else if (isBloc(justices[d.i])) {
+                    toggleBloc(justices[d.i], units);
+                } else if (isBloc(justices[d.j])) {
+                    toggleBloc(justices[d.j], units);
+                } else if (d.i !== d.j) {
+                    openCasePanel(justices[d.i], justices[d.j]);
+                }
+            });
+
+        withTransition(cells, animate)
+            .attr('x', d => d.j * cellSize)
+            .attr('y', d => d.i * cellSize)
+            .attr('width', cellSize)
+            .attr('height', cellSize)
+            .attr('fill', d => {
+                if (isSelf(d)) return colorScale(maxRate);
+                if (d.cell.rate === null || d.cell.total < minCases) return null;
+                return colorScale(d.cell.rate);
+            })
+            .attr('fill-opacity', d => uncertaintyMode === 'fade' && isUncertain(d) ? config.uncertainFadeOpacity : 1);
+
+        // Hatch overlays for cells whose confidence interval is wider than the threshold
+        const hatches = g.select('g.hatch-layer')
+            .selectAll('rect')
+            .data(uncertaintyMode === 'hatch' ? cellData.filter(isUncertain) : [], d => d.key)
+            .join(
+                enter => fadeIn(enter.append('rect')
+                    .attr('x', d => d.j * cellSize)
+                    .attr('y', d => d.i * cellSize)
+                    .style('fill', `url(#${hatchId})`), animate),
+                update => update,
+                exit => fadeOut(exit, animate));
+
+        withTransition(hatches, animate)
+            .attr('x', d => d.j * cellSize)
+            .attr('y', d => d.i * cellSize)
+            .attr('width', cellSize)
+            .attr('height', cellSize);
+
+        // Draw row labels (justice names on left with years and party)
+        const rowLabels = g.selectAll('text.row-label')
+            .data(justices, d => d)
+            .join(
+                enter => fadeIn(enter.append('text')
+                    .attr('class', 'axis-label row-label')
+                    .attr('x', -8)
+                    .attr('y', (d, i) => i * cellSize + cellSize / 2)
+                    .attr('dy', '0.35em')
+                    .attr('text-anchor', 'end'), animate),
+                update => update,
+                exit => fadeOut(exit, animate))
+            .text(d => {
+                if (isBloc(d)) return compact ? units.get(d).shortLabel : units.get(d).label;
+                return compact ? justiceSortName(d) : formatJusticeLabel(d);
+            });
+
+        withTransition(rowLabels, animate)
+            .attr('y', (d, i) => i * cellSize + cellSize / 2);
+
+        // Draw column labels (justice names only, rotated)
+        const colLabels = g.selectAll('text.col-label')
+            .data(justices, d => d)
+            .join(
+                enter => fadeIn(enter.append('text')
+                    .attr('class', 'axis-label col-label')
+                    .attr('x', 0)
+                    .attr('y', 0)
+                    .attr('text-anchor', 'start')
+                    .attr('transform', (d, i) => `translate(${i * cellSize + cellSize / 2}, -8) rotate(-45)`), animate),
+                update => update,
+                exit => fadeOut(exit, animate))
+            .text(d => {
+                if (isBloc(d)) return units.get(d).shortLabel;
+                return compact ? justiceSortName(d) : formatJusticeName(d);
+            });
+
+        // In the grouped view, clicking a label expands its bloc (or collapses a justice back into theirs)
+        g.selectAll('text.row-label, text.col-label')
+            .classed('bloc-label', ordered.units !== undefined)
+            .on('click', ordered.units ? (event, d) => toggleBloc(d, units) : null);
+
+        withTransition(colLabels, animate)
+            .attr('transform', (d, i) => `translate(${i * cellSize + cellSize / 2}, -8) rotate(-45)`);
+
+        drawDendrogram(g, ordered, cellSize, labelPadding, dendrogramWidth, animate);
+    }
+
+    /**
+     * Draw the matrix on a canvas (used above config.canvasThreshold justices, where one
+     * SVG rect per cell gets slow). Supports pan/zoom, hit-tested tooltips and clicks, and
+     * keeps the row and column labels pinned to the left and top edges while the grid moves.
+     */
+    function renderCanvasMatrix(ordered, maxRate) {
+        let canvas = matrixEl.querySelector('canvas.matrix-canvas');
+        if (!canvas) {
+            matrixEl.innerHTML = '';
+            canvas = document.createElement('canvas');
+            canvas.className = 'matrix-canvas';
+            matrixEl.appendChild(canvas);
+            setupCanvasInteraction(canvas);
+        }
+
+        // Fit the whole grid in the window at zoom 1; zooming in enlarges cells up to config.maxCanvasCellSize
+        const n = ordered.justices.length;
+        const compact = isNarrowScreen();
+        const gutter = compact ? config.narrowLabelPadding : config.labelPadding;
+        const dendrogramWidth = hasDendrogram(ordered) ? gutter : 0;
+        const left = dendrogramWidth + gutter;
+        const width = Math.max(config.canvasMinSize, matrixWidth());
+        const maxHeight = Math.max(config.canvasMinSize, window.innerHeight - 80);
+        const cellSize = Math.min(config.maxCellSize,
+            (width - gutter - dendrogramWidth) / n,
+            (maxHeight - gutter) / n);
+        const height = gutter + n * cellSize;
+
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+
+        canvasView = {
+            canvas,
+            justices: ordered.justices,
+            matrix: ordered.matrix,
+            tree: dendrogramWidth > 0 ? ordered.tree : null,
+            maxRate,
+            cellSize,
+            gutter,
+            left,
+            compact,
+            dendrogramWidth,
+            width,
+            height,
+            transform: canvasView?.transform || d3.zoomIdentity,
+            hover: null
+        };
+
+        // Grid coordinates start past the gutters, so the zoom transform maps straight to canvas pixels
+        canvasZoom
+            .extent([[left, gutter], [width, height]])
+            .translateExtent([[left, gutter], [Math.max(width, left + n * cellSize), Math.max(height, gutter + n * cellSize)]])
+            .scaleExtent([1, Math.max(1, config.maxCanvasCellSize / cellSize)]);
+        d3.select(canvas).call(canvasZoom.transform, canvasView.transform);
+    }
+
+    /**
+     * Wire up pan/zoom and pointer hit-testing for the canvas renderer (once per canvas)
+     */
+    function setupCanvasInteraction(canvas) {
+        canvasZoom = d3.zoom()
+            .on('zoom', (event) => {
+                canvasView.transform = event.transform;
+                hideTooltip();
+                scheduleCanvasDraw();
+            });
+        d3.select(canvas).call(canvasZoom);
+
+        canvas.addEventListener('mousemove', (event) => {
+            const hit = hitTestCanvas(event);
+            const previous = canvasView.hover;
+            canvasView.hover = hit;
+            if (!hit) {
+                hideTooltip();
+            } else if (previous && previous.i === hit.i && previous.j === hit.j) {
+                moveTooltip(event);
+            } else {
+                showTooltip(event, canvasView.justices[hit.i], canvasView.justices[hit.j], hit.cell, hit.i === hit.j);
+            }
+            if (previous?.i !== hit?.i || previous?.j !== hit?.j) scheduleCanvasDraw();
+        });
+
+        canvas.addEventListener('mouseleave', () => {
+            canvasView.hover = null;
+            hideTooltip();
+            scheduleCanvasDraw();
+        });
+
+        // d3.zoom swallows the click that ends a drag, so this only fires for real clicks
+        canvas.addEventListener('click', (event) => {
+            const hit = hitTestCanvas(event);
+            if (hit && lastPointerType === 'touch') {
+                pinCell(hit.i, hit.j);
+            } else if (hit && hit.i !== hit.j) {
+                openCasePanel(canvasView.justices[hit.i], canvasView.justices[hit.j]);
+            }
+        });
+    }
+
+    /**
+     * Find the matrix cell under a pointer event on the canvas, or null
+     */
+    function hitTestCanvas(event) {
+        const { canvas, gutter, left, cellSize, transform, justices, matrix } = canvasView;
+        const rect = canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+        if (x < left || y < gutter) return null;
+
+        const i = Math.floor((transform.invertY(y) - gutter) / cellSize);
+        const j = Math.floor((transform.invertX(x) - left) / cellSize);
+        if (i < 0 || j < 0 || i >= justices.length || j >= justices.length) return null;
+        return { i, j, cell: matrix[i][j] };
+    }
+
+    /**
+     * Redraw the canvas on the next animation frame (coalescing zoom and hover updates)
+     */
+    function scheduleCanvasDraw() {
+        if (canvasFrame !== null) return;
+        canvasFrame = requestAnimationFrame(() => {
+            canvasFrame = null;
+            if (canvasView) drawCanvas();
+        });
+    }
+
+    /**
+     * Paint the visible cells, pinned labels and dendrogram for the current zoom transform
+     */
+    function drawCanvas() {
+        const { canvas, justices, matrix, maxRate, cellSize, gutter, left, compact, dendrogramWidth, width, height, transform, hover } = canvasView;
+        const context = canvas.getContext('2d');
+        const ratio = window.devicePixelRatio || 1;
+        const rootStyle = window.getComputedStyle(document.documentElement);
+        const cssColor = name => rootStyle.getPropertyValue(name).trim();
+
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+
+        // Only the cells inside the viewport are painted
+        const n = justices.length;
+        const size = cellSize * transform.k;
+        const visible = (from, to, invert) => [
+            Math.max(0, Math.floor((invert(from) - from) / cellSize)),
+            Math.min(n - 1, Math.floor((invert(to) - from) / cellSize))
+        ];
+        const [rowStart, rowEnd] = visible(gutter, height, y => transform.invertY(y));
+        const [colStart, colEnd] = visible(left, width, x => transform.invertX(x));
+        const cellX = j => transform.applyX(left + j * cellSize);
+        const cellY = i => transform.applyY(gutter + i * cellSize);
+        const gap = size >= 4 ? 1 : 0;
+
+        context.save();
+        context.beginPath();
+        context.rect(left, gutter, width - left, height - gutter);
+        context.clip();
+
+        const hatch = uncertaintyMode === 'hatch' ? createHatchPattern(context, cssColor('--bg-color')) : null;
+        for (let i = rowStart; i <= rowEnd; i++) {
+            for (let j = colStart; j <= colEnd; j++) {
+                const d = { i, j, cell: matrix[i][j] };
+                const uncertain = isUncertain(d);
+                if (i === j) {
+                    context.fillStyle = colorScale(maxRate);
+                } else if (d.cell.rate === null || d.cell.total < minCases) {
+                    context.fillStyle = cssColor('--border-color');
+                } else {
+                    context.fillStyle = colorScale(d.cell.rate);
+                }
+                context.globalAlpha = uncertaintyMode === 'fade' && uncertain ? config.uncertainFadeOpacity : 1;
+                context.fillRect(cellX(j), cellY(i), size - gap, size - gap);
+
+                if (hatch && uncertain) {
+                    context.globalAlpha = 1;
+                    context.fillStyle = hatch;
+                    context.fillRect(cellX(j), cellY(i), size - gap, size - gap);
+                }
+            }
+        }
+        context.globalAlpha = 1;
+
+        // Diagonal outline, as on the SVG cells, once cells are big enough to show it
+        if (size >= 6) {
+            context.strokeStyle = cssColor('--accent-color');
+            context.lineWidth = 1.5;
+            for (let i = Math.max(rowStart, colStart); i <= Math.min(rowEnd, colEnd); i++) {
+                context.strokeRect(cellX(i) + 0.75, cellY(i) + 0.75, size - gap - 1.5, size - gap - 1.5);
+            }
+        }
+
+        if (hover) {
+            context.strokeStyle = cssColor('--text-color');
+            context.lineWidth = 2;
+            context.strokeRect(cellX(hover.j) + 1, cellY(hover.i) + 1, size - gap - 2, size - gap - 2);
+        }
+        context.restore();
+
+        // Labels are thinned out to every step-th justice when rows are shorter than the text
+        const step = Math.max(1, Math.ceil(config.canvasLabelPitch / size));
+        const firstLabel = start => Math.ceil(start / step) * step;
+        const labelColor = k => (hover && (hover.i === k || hover.j === k) ? cssColor('--text-color') : cssColor('--text-muted'));
+        context.font = `10px ${window.getComputedStyle(canvas).fontFamily}`;
+        context.textBaseline = 'middle';
+
+        // Row labels, pinned beside the grid and following it vertically
+        context.save();
+        context.beginPath();
+        context.rect(dendrogramWidth, gutter, gutter, height - gutter);
+        context.clip();
+        context.textAlign = 'right';
+        for (let i = firstLabel(rowStart); i <= rowEnd; i += step) {
+            context.fillStyle = labelColor(i);
+            context.fillText(compact ? justiceSortName(justices[i]) : formatJusticeLabel(justices[i]), left - 8, cellY(i) + size / 2);
+        }
+        context.restore();
+
+        // Column labels, pinned to the top edge and rotated like the SVG labels
+        context.save();
+        context.beginPath();
+        context.rect(left, 0, width - left, gutter);
+        context.clip();
+        context.textAlign = 'left';
+        for (let j = firstLabel(colStart); j <= colEnd; j += step) {
+            context.save();
+            context.translate(cellX(j) + size / 2, gutter - 8);
+            context.rotate(-Math.PI / 4);
+            context.fillStyle = labelColor(j);
+            context.fillText(compact ? justiceSortName(justices[j]) : formatJusticeName(justices[j]), 0, 0);
+            context.restore();
+        }
+        context.restore();
+
+        // Dendrogram, pinned to the left edge beside the row labels and following the grid vertically
+        if (canvasView.tree) {
+            context.save();
+            context.beginPath();
+            context.rect(0, gutter, dendrogramWidth, height - gutter);
+            context.clip();
+            context.strokeStyle = cssColor('--text-muted');
+            context.lineWidth = 1;
+            context.beginPath();
+            const links = layoutDendrogram({ justices, tree: canvasView.tree }, cellSize, dendrogramWidth - 8, -(dendrogramWidth - 24));
+            for (const [x1, y1, x2, y2] of links) {
+                context.moveTo(x1, transform.applyY(gutter + y1));
+                context.lineTo(x2, transform.applyY(gutter + y1));
+                context.lineTo(x2, transform.applyY(gutter + y2));
+            }
+            context.stroke();
+            context.restore();
+        }
+    }
+
+    /**
+     * Diagonal-line fill pattern for uncertain cells, matching the SVG .uncertainty-hatch
+     */
+    function createHatchPattern(context, color) {
+        const tile = document.createElement('canvas');
+        tile.width = 6;
+        tile.height = 6;
+        const tileContext = tile.getContext('2d');
+        tileContext.strokeStyle = color;
+        tileContext.lineWidth = 1.5;
+        tileContext.beginPath();
+        tileContext.moveTo(0, 6);
+        tileContext.lineTo(6, 0);
+        tileContext.stroke();
+        return context.createPattern(tile, 'repeat');
+    }
+
+    /**
+     * Whether a drawn off-diagonal cell's 95% interval is wider than the reliability threshold
+     */
+    function isUncertain(d) {
+        return d.i !== d.j &&
+            d.cell.rate !== null &&
+            d.cell.total >= minCases &&
+            d.cell.upper - d.cell.lower > maxIntervalWidth;
+    }
+
+    /**
+     * Wrap a selection in a transition when animating, so attribute updates can be chained either way
+     */
+    function withTransition(selection, animate) {
+        return animate ? selection.transition().duration(config.transitionDuration) : selection;
+    }
+
+    /**
+     * Fade newly entered elements in when animating (returns the selection for join chaining)
+     */
+    function fadeIn(selection, animate) {
+        if (animate) {
+            selection.attr('opacity', 0)
+                .transition()
+                .duration(config.transitionDuration)
+                .attr('opacity', 1);
+        }
+        return selection;
+    }
+
+    /**
+     * Remove exiting elements, fading them out first when animating
+     */
+    function fadeOut(selection, animate) {
+        if (!animate) {
+            selection.remove();
+            return;
+        }
+        selection.transition()
+            .duration(config.transitionDuration / 2)
+            .attr('opacity', 0)
+            .remove();
+    }
+
+    /**
+     * Lay out the cluster tree as elbow links [childX, childY, parentX, parentY], with leaves
+     * at their row centers (y relative to the top of the grid) and merge heights spread over
+     * width starting at left (a negative width grows the tree leftward)
+     */
+    function layoutDendrogram(ordered, cellSize, left, width) {
+        const { justices, tree } = ordered;
+        const maxHeight = tree.height || 1;
+        const position = new Map(justices.map((j, i) => [j, i]));
+
+        const links = [];
+        function layout(node) {
+            node.x = left + (node.height / maxHeight) * width;
+            if (!node.children) {
+                node.y = position.get(node.justice) * cellSize + cellSize / 2;
+                return;
+            }
+            node.children.forEach(layout);
+            node.y = (node.children[0].y + node.children[1].y) / 2;
+            for (const child of node.children) {
+                links.push([child.x, child.y, node.x, node.y]);
+            }
+        }
+        layout(tree);
+        return links;
+    }
+
+    /**
+     * Whether the cluster dendrogram is shown beside the rows of this ordering
+     */
+    function hasDendrogram(ordered) {
+        return ordering === 'cluster' && showDendrogram && Boolean(ordered.tree);
+    }
+
+    /**
+     * Draw the cluster dendrogram in the gutter left of the row labels, growing leftward
+     * (removed for other orderings)
+     */
+    function drawDendrogram(g, ordered, cellSize, labelPadding, dendrogramWidth, animate) {
+        g.selectAll('g.dendrogram').remove();
+        if (!dendrogramWidth) return;
+
+        const links = layoutDendrogram(ordered, cellSize, -labelPadding - 8, -(dendrogramWidth - 24));
+        const paths = g.append('g')
+            .attr('class', 'dendrogram')
+            .selectAll('path')
+            .data(links)
+            .join('path')
+            .attr('d', ([x1, y1, x2, y2]) => `M${x1},${y1}H${x2}V${y2}`);
+
+        if (animate) {
+            paths.attr('opacity', 0)
+                .transition()
+                .delay(config.transitionDuration)
+                .duration(config.transitionDuration / 2)
+                .attr('opacity', 1);
+        }
+    }
+
+    /**
+     * Tooltip content for cell (i, j) of the rendered matrix, bloc or justice pair
+     */
+    function formatRenderedCell(i, j) {
+        const { justices, matrix } = renderedMatrix;
+        const units = renderedMatrix.units || new Map();
+        if (units.has(justices[i]) || units.has(justices[j])) {
+            return formatBlocTooltip(units, justices[i], justices[j], matrix[i][j]);
+        }
+        return formatCellTooltip(justices[i], justices[j], matrix[i][j], i === j);
+    }
+
+    /**
+     * Outline cell (i, j) of the rendered matrix with the focus ring (or the canvas hover outline),
+     * scrolling or panning it into view. Returns the cell's client rectangle as { left, top, size }.
+     */
+    function outlineCell(i, j) {
+        if (canvasView) {
+            const { canvas, gutter, left, cellSize, width, height } = canvasView;
+            const visible = t => {
+                const x = t.applyX(left + j * cellSize);
+                const y = t.applyY(gutter + i * cellSize);
+                const k = cellSize * t.k;
+                return x >= left && y >= gutter && x + k <= width && y + k <= height;
+            };
+            if (!visible(canvasView.transform)) {
+                d3.select(canvas).call(canvasZoom.translateTo, left + (j + 0.5) * cellSize, gutter + (i + 0.5) * cellSize);
+            }
+            const { transform } = canvasView;
+            canvasView.hover = { i, j, cell: renderedMatrix.matrix[i][j] };
+            scheduleCanvasDraw();
+            const rect = canvas.getBoundingClientRect();
+            return {
+                left: rect.left + transform.applyX(left + j * cellSize),
+                top: rect.top + transform.applyY(gutter + i * cellSize),
+                size: cellSize * transform.k
+            };
+        }
+
+        // renderSvgMatrix keeps the ring sized to the cells
+        const ring = matrixEl.querySelector('rect.focus-ring');
+        const size = parseFloat(ring.getAttribute('width'));
+        d3.select(ring)
+            .attr('x', j * size)
+            .attr('y', i * size)
+            .attr('visibility', 'visible');
+        ring.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        const rect = ring.getBoundingClientRect();
+        return { left: rect.left, top: rect.top, size: rect.width };
+    }
+
+    /**
+     * Hide the focus ring (or canvas hover outline)
+     */
+    function hideCellOutline() {
+        const ring = matrixEl.querySelector('rect.focus-ring');
+        if (ring) ring.setAttribute('visibility', 'hidden');
+        if (canvasView) {
+            canvasView.hover = null;
+            scheduleCanvasDraw();
+        }
+    }
+
+    /**
+     * Move keyboard focus to cell (i, j) of the rendered matrix (clamped to the grid): outline it,
+     * show its tooltip and announce it through the live region
+     */
+    function setFocusedCell(i, j) {
+        const { justices } = renderedMatrix;
+        const last = justices.length - 1;
+        i = Math.max(0, Math.min(last, i));
+        j = Math.max(0, Math.min(last, j));
+        focusedCell = { i, j, row: justices[i], col: justices[j] };
+
+        const { left, top, size } = outlineCell(i, j);
+        showTooltipContent({ clientX: left + size, clientY: top + size }, formatRenderedCell(i, j));
+        // Only keyboard moves are announced; pointer hovers would flood screen readers
+        liveRegion.textContent = tooltipEl.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Drop keyboard focus from the matrix: hide the focus ring (or canvas outline) and tooltip
+     */
+    function clearFocusedCell() {
+        if (!focusedCell) return;
+        focusedCell = null;
+        hideCellOutline();
+        hideTooltip();
+    }
+
+    /**
+     * Act on cell (i, j) of the rendered matrix as a click does: toggle a bloc, or open a pair's cases
+     */
+    function activateCell(i, j) {
+        const { justices } = renderedMatrix;
+        const units = renderedMatrix.units || new Map();
+        if (units.has(justices[i])) {
+            toggleBloc(justices[i], units);
+        } else if (units.has(justices[j])) {
+            toggleBloc(justices[j], units);
+        } else if (i !== j) {
+            openCasePanel(justices[i], justices[j]);
+        }
+    }
+
+    /**
+     * Tap to inspect: touch screens have no hover, so a tap outlines the cell and pins its details
+     * in a card, whose button does what a click would
+     */
+    function pinCell(i, j) {
+        const { justices } = renderedMatrix;
+        const units = renderedMatrix.units || new Map();
+        pinnedCell = { i, j };
+        hideTooltip();
+        outlineCell(i, j);
+
+        cellCardBody.innerHTML = formatRenderedCell(i, j);
+        if (units.has(justices[i]) || units.has(justices[j])) {
+            cellCardAction.textContent = 'Expand Bloc';
+            cellCardAction.hidden = false;
+        } else {
+            cellCardAction.textContent = 'View Cases';
+            cellCardAction.hidden = i === j;
+        }
+        cellCard.hidden = false;
+    }
+
+    /**
+     * Close the tap-to-inspect card and drop its outline
+     */
+    function closeCellCard() {
+        if (!pinnedCell) return;
+        pinnedCell = null;
+        cellCard.hidden = true;
+        hideCellOutline();
+    }
+
+    /**
+     * Setup the tap-to-inspect card, and track whether the matrix is being pressed by touch
+     */
+    function setupCellCard() {
+        matrixEl.addEventListener('pointerdown', (event) => {
+            lastPointerType = event.pointerType;
+        }, true);
+
+        cellCardCloseBtn.addEventListener('click', closeCellCard);
+        cellCardAction.addEventListener('click', () => {
+            const { i, j } = pinnedCell;
+            closeCellCard();
+            activateCell(i, j);
+        });
+    }
+
+    /**
+     * Pinch-zoom and pan for the SVG matrix on touch screens (mouse and wheel input are left to the
+     * page). One finger scrolls the page until the matrix is zoomed in, and then pans it.
+     */
+    function setupMatrixZoom(svg) {
+        const layer = svg.select('g.zoom-layer');
+        matrixZoom = d3.zoom()
+            .scaleExtent([1, config.maxTouchZoom])
+            .filter(event => event.type.startsWith('touch')
+                && (event.touches.length > 1 || d3.zoomTransform(svg.node()).k > 1))
+            .on('zoom', (event) => {
+                layer.attr('transform', event.transform);
+                svg.style('touch-action', event.transform.k > 1 ? 'none' : 'pan-x pan-y');
+                hideTooltip();
+            });
+        svg.call(matrixZoom)
+            .style('touch-action', 'pan-x pan-y');
+    }
+
+    /**
+     * Width the matrix can fill: its container's inner width, which shrinks when the
+     * network panel sits beside it (the window's before the first layout)
+     */
+    function matrixWidth() {
+        return matrixContainer.clientWidth ? matrixContainer.clientWidth - 40 : window.innerWidth - 100;
+    }
+
+    /**
+     * Whether the window is narrow enough for abbreviated matrix labels
+     */
+    function isNarrowScreen() {
+        return window.innerWidth <= config.narrowScreenWidth;
+    }
+
+    /**
+     * After a re-render, keep keyboard focus on the same pair where it is still shown,
+     * otherwise on the same grid position
+     */
+    function restoreFocusedCell() {
+        if (!focusedCell) return;
+        const { justices } = renderedMatrix;
+        const i = justices.indexOf(focusedCell.row);
+        const j = justices.indexOf(focusedCell.col);
+        setFocusedCell(i === -1 ? focusedCell.i : i, j === -1 ? focusedCell.j : j);
+    }
+
+    /**
+     * Keyboard navigation of the matrix: arrows move between cells, Home/End go to the ends of
+     * the row (with Ctrl, of the grid), Enter or Space opens the pair's cases or toggles a bloc,
+     * and Escape hides the focus
+     */
+    function setupMatrixKeyboard() {
+        matrixEl.addEventListener('keydown', (event) => {
+            if (!renderedMatrix) return;
+            const last = renderedMatrix.justices.length - 1;
+            const { i, j } = focusedCell || { i: 0, j: 0 };
+
+            let next;
+            switch (event.key) {
+                case 'ArrowUp': next = [i - 1, j]; break;
+                case 'ArrowDown': next = [i + 1, j]; break;
+                case 'ArrowLeft': next = [i, j - 1]; break;
+                case 'ArrowRight': next = [i, j + 1]; break;
+                case 'Home': next = event.ctrlKey ? [0, 0] : [i, 0]; break;
+                case 'End': next = event.ctrlKey ? [last, last] : [i, last]; break;
+                case 'Enter':
+                case ' ':
+                    event.preventDefault();
+                    if (focusedCell) activateCell(i, j);
+                    return;
+                case 'Escape':
+                    clearFocusedCell();
+                    return;
+                default:
+                    return;
+            }
+            event.preventDefault();
+            // The first key press shows the focus on the top-left cell
+            setFocusedCell(...(focusedCell ? next : [0, 0]));
+        });
+
+        matrixEl.addEventListener('blur', clearFocusedCell);
+    }
+
+    /**
+     * Render the rendered matrix as a data table, for screen readers and anyone who would rather
+     * read numbers than colors. Only built while its disclosure is open: a full-range table
+     * runs to thousands of cells.
+     */
+    function renderMatrixTable() {
+        if (!matrixTableDetails.open) return;
+        matrixTableEl.innerHTML = '';
+        if (!renderedMatrix) {
+            matrixTableEl.innerHTML = '<p class="analysis-summary">No cases found in this time period.</p>';
+            return;
+        }
+
+        const { justices, matrix } = renderedMatrix;
+        const units = renderedMatrix.units || new Map();
+        const name = row => (units.has(row) ? units.get(row).label : formatJusticeFullName(row));
+        const shortName = row => (units.has(row) ? units.get(row).shortLabel : formatJusticeName(row));
+
+        const table = d3.select(matrixTableEl).append('table').attr('class', 'matrix-data-table');
+        table.append('caption')
+            .text(`${METRICS[metric].label}: share of shared cases in which each pair agreed, ` +
+                `${yearStart}-${yearEnd} terms (${currentView.caseCount} cases)`);
+
+        const headRow = table.append('thead').append('tr');
+        headRow.append('td');
+        headRow.selectAll('th')
+            .data(justices)
+            .join('th')
+            .attr('scope', 'col')
+            .attr('title', name)
+            .text(shortName);
+
+        const rows = table.append('tbody').selectAll('tr')
+            .data(justices)
+            .join('tr');
+        rows.append('th')
+            .attr('scope', 'row')
+            .text(name);
+        rows.selectAll('td')
+            .data((row, i) => justices.map((col, j) => ({ i, j, cell: matrix[i][j] })))
+            .join('td')
+            .text(({ i, j, cell }) => {
+                if (i === j && !units.has(justices[i])) return 'n/a';
+                if (cell.rate === null || cell.total < minCases) return cell.total > 0 ? `n/a (${cell.total} cases)` : 'n/a';
+                return `${(cell.rate * 100).toFixed(1)}% (${cell.agreed}/${cell.total})`;
+            });
+    }
+
+    /**
+     * Build the table when its disclosure is opened (it is kept current while open)
+     */
+    function setupMatrixTable() {
+        matrixTableDetails.addEventListener('toggle', renderMatrixTable);
+    }
+
+    /**
+     * Show tooltip
+     */
+    function showTooltip(event, justice1, justice2, cell, isDiagonal) {
+        showTooltipContent(event, formatCellTooltip(justice1, justice2, cell, isDiagonal));
+    }
+
+    /**
+     * Tooltip content for a justice (diagonal) or a justice pair
+     */
+    function formatCellTooltip(justice1, justice2, cell, isDiagonal) {
+        const name1 = data.justices[justice1]?.name || justice1;
+        const name2 = data.justices[justice2]?.name || justice2;
+
+        let content;
+        if (isDiagonal) {
+            const appointments = (data.justices[justice1]?.appointments || [])
+                .map(appointment => `<div class="tooltip-appointment">${formatAppointment(appointment)}</div>`)
+                .join('');
+            content = `
+                <div class="tooltip-title">${formatJusticeFullName(justice1)}</div>
+                ${appointments}
+                <div class="tooltip-row">
+                    <span>Terms:</span>
+                    <span class="value">${data.justices[justice1]?.firstTerm || '?'} - ${data.justices[justice1]?.lastTerm || '?'}</span>
+                </div>
+            `;
+        } else if (cell.rate === null || cell.total < minCases) {
+            const reason = cell.total === 0 ? 'No overlapping cases' :
+                `Only ${cell.total} case${cell.total === 1 ? '' : 's'} (min: ${minCases})`;
+            content = `
+                <div class="tooltip-title">${name1} & ${name2}</div>
+                ${formatPairSubtitle(justice1, justice2)}
+                <div class="tooltip-row">
+                    <span>${reason}</span>
+                </div>
+                <div class="tooltip-metric">${METRICS[metric].label}</div>
+            `;
+        } else {
+            const percentage = (cell.rate * 100).toFixed(1);
+            content = `
+                <div class="tooltip-title">${name1} & ${name2}</div>
+                ${formatPairSubtitle(justice1, justice2)}
+                <div class="tooltip-row highlight">
+                    <span>Concurrence Rate:</span>
+                    <span class="value">${percentage}%</span>
+                </div>
+                <div class="tooltip-row">
+                    <span>95% Interval:</span>
+                    <span class="value">${(cell.lower * 100).toFixed(1)}-${(cell.upper * 100).toFixed(1)}%</span>
+                </div>
+                <div class="tooltip-row">
+                    <span>Cases Together:</span>
+                    <span class="value">${cell.total}</span>
+                </div>
+                <div class="tooltip-row">
+                    <span>Agreed:</span>
+                    <span class="value">${cell.agreed}</span>
+                </div>
+                <div class="tooltip-metric">${METRICS[metric].label}</div>
+            `;
+        }
+
+        return content;
+    }
+
+    /**
+     * Full names and appointing presidents of a pair, for tooltip subtitles
+     */
+    function formatPairSubtitle(justice1, justice2) {
+        const describe = id => {
+            const president = data.justices[id]?.president;
+            return president ? `${formatJusticeFullName(id)} (${president})` : formatJusticeFullName(id);
+        };
+        return `<div class="tooltip-appointment">${describe(justice1)}<br>${describe(justice2)}</div>`;
+    }
+
+    /**
+     * Show the tooltip with prepared HTML content
+     */
+    function showTooltipContent(event, content) {
+        tooltipEl.innerHTML = content;
+        tooltipEl.classList.add('visible');
+        moveTooltip(event);
+    }
+
+    /**
+     * Move tooltip to follow cursor
+     */
+    function moveTooltip(event) {
+        const padding = 15;
+        let x = event.clientX + padding;
+        let y = event.clientY + padding;
+
+        // Keep tooltip in viewport
+        const rect = tooltipEl.getBoundingClientRect();
+        if (x + rect.width > window.innerWidth) {
+            x = event.clientX - rect.width - padding;
+        }
+        if (y + rect.height > window.innerHeight) {
+            y = event.clientY - rect.height - padding;
+        }
+
+        tooltipEl.style.left = x + 'px';
+        tooltipEl.style.top = y + 'px';
+    }
+
+    /**
+     * Hide tooltip
+     */
+    function hideTooltip() {
+        tooltipEl.classList.remove('visible');
+    }
+
+    /**
+     * Open the case panel for a justice pair
+     */
+    function openCasePanel(justice1, justice2) {
+        drilldownPair = [justice1, justice2];
+        casePanel.classList.add('open');
+        updateCasePanel();
+        scheduleUrlUpdate();
+    }
+
+    /**
+     * Close the case panel
+     */
+    function closeCasePanel() {
+        drilldownPair = null;
+        casePanel.classList.remove('open');
+        scheduleUrlUpdate();
+    }
+
+    /**
+     * Get the cases in the current filters where both justices cast a vote under the active metric
+     */
+    function getSharedCases(justice1, justice2) {
+        const votesField = METRICS[metric].votesField;
+        const shared = [];
+        for (const c of filterCases()) {
+            const votes = c[votesField] || {};
+            if (votes[justice1] === undefined || votes[justice2] === undefined) continue;
+            shared.push({
+                case: c,
+                vote1: votes[justice1],
+                vote2: votes[justice2],
+                agreed: votes[justice1] === votes[justice2]
+            });
+        }
+        return shared;
+    }
+
+    /**
+     * Re-render the case list for the open pair (no-op when the panel is closed)
+     */
+    function updateCasePanel() {
+        if (!drilldownPair) return;
+
+        const [justice1, justice2] = drilldownPair;
+        const name1 = formatJusticeName(justice1);
+        const name2 = formatJusticeName(justice2);
+        const shared = getSharedCases(justice1, justice2);
+        const agreedCount = shared.filter(s => s.agreed).length;
+
+        casePanelTitle.textContent = `${name1} & ${name2}`;
+        casePanelSummary.textContent = `${shared.length} shared cases, ${agreedCount} agreed, ` +
+            `${shared.length - agreedCount} disagreed (${yearStart}-${yearEnd}, ${METRICS[metric].label.toLowerCase()})`;
+
+        for (const btn of casePanelToggles.querySelectorAll('button')) {
+            btn.classList.toggle('active', btn.dataset.filter === drilldownFilter);
+        }
+
+        const visible = shared.filter(s =>
+            drilldownFilter === 'all' ||
+            (drilldownFilter === 'agreements' && s.agreed) ||
+            (drilldownFilter === 'disagreements' && !s.agreed));
+
+        caseListEl.innerHTML = '';
+        if (visible.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'case-list-empty';
+            empty.textContent = 'No matching cases.';
+            caseListEl.appendChild(empty);
+            return;
+        }
+
+        const voteLabels = METRICS[metric].voteLabels;
+        const fragment = document.createDocumentFragment();
+        for (const s of visible) {
+            const row = document.createElement('div');
+            row.className = 'case-row';
+
+            const nameEl = document.createElement('div');
+            nameEl.className = 'case-row-name';
+            nameEl.textContent = s.case.caseName || s.case.id;
+
+            const metaEl = document.createElement('div');
+            metaEl.className = 'case-row-meta';
+            metaEl.textContent = [s.case.usCite, `Term ${s.case.term}`, s.case.dateDecision]
+                .filter(Boolean).join(' · ');
+
+            const votesEl = document.createElement('div');
+            votesEl.className = 'case-row-votes';
+            for (const [name, vote] of [[name1, s.vote1], [name2, s.vote2]]) {
+                const voteEl = document.createElement('span');
+                voteEl.textContent = `${name}: `;
+                const valueEl = document.createElement('span');
+                valueEl.className = 'vote';
+                valueEl.textContent = voteLabels[vote] || vote;
+                voteEl.appendChild(valueEl);
+                votesEl.appendChild(voteEl);
+            }
+
+            const badge = document.createElement('span');
+            badge.className = `agreement-badge ${s.agreed ? 'agreed' : 'disagreed'}`;
+            badge.textContent = s.agreed ? 'Agreed' : 'Disagreed';
+            votesEl.appendChild(badge);
+
+            row.appendChild(nameEl);
+            row.appendChild(metaEl);
+            row.appendChild(votesEl);
+            fragment.appendChild(row);
+        }
+        caseListEl.appendChild(fragment);
+    }
+
+    /**
+     * Setup case panel close button and agreement toggles
+     */
+    function setupCasePanel() {
+        casePanelClose.addEventListener('click', closeCasePanel);
+
+        casePanelToggles.addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            if (!btn) return;
+            // Clicking the active toggle again returns to showing all cases
+            drilldownFilter = btn.dataset.filter === drilldownFilter ? 'all' : btn.dataset.filter;
+            updateCasePanel();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && drilldownPair) closeCasePanel();
+        });
+    }
+
+    /**
+     * Wilson score interval for a binomial proportion (95% by default)
+     */
+    function wilsonInterval(successes, trials, z = 1.96) {
+        if (trials === 0) return { lower: null, upper: null };
+        const p = successes / trials;
+        const z2 = z * z;
+        const denominator = 1 + z2 / trials;
+        const center = (p + z2 / (2 * trials)) / denominator;
+        const margin = (z / denominator) * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials));
+        return { lower: Math.max(0, center - margin), upper: Math.min(1, center + margin) };
+    }
+
+    /**
+     * First and last term two justices served together (empty when lastTerm < firstTerm)
+     */
+    function getSharedTenure(justice1, justice2) {
+        const info1 = data.justices[justice1];
+        const info2 = data.justices[justice2];
+        return {
+            firstTerm: Math.max(info1?.firstTerm ?? data.metadata.minTerm, info2?.firstTerm ?? data.metadata.minTerm),
+            lastTerm: Math.min(info1?.lastTerm ?? data.metadata.maxTerm, info2?.lastTerm ?? data.metadata.maxTerm)
+        };
+    }
+
+    /**
+     * Per-term agreement for a pair over their whole shared tenure, honoring the
+     * category filters and agreement metric but not the slider range
+     */
+    function getPairTrend(justice1, justice2) {
+        const votesField = METRICS[metric].votesField;
+        const { firstTerm, lastTerm } = getSharedTenure(justice1, justice2);
+
+        const byTerm = new Map();
+        for (let term = firstTerm; term <= lastTerm; term++) {
+            byTerm.set(term, { term, agreed: 0, total: 0 });
+        }
+
+        for (const c of data.cases) {
+            if (c.term < firstTerm || c.term > lastTerm || !matchesCaseFilters(c)) continue;
+            const votes = c[votesField] || {};
+            if (votes[justice1] === undefined || votes[justice2] === undefined) continue;
+            const entry = byTerm.get(c.term);
+            entry.total++;
+            if (votes[justice1] === votes[justice2]) entry.agreed++;
+        }
+
+        return Array.from(byTerm.values()).map(entry => ({
+            ...entry,
+            rate: entry.total > 0 ? entry.agreed / entry.total : null,
+            ...wilsonInterval(entry.agreed, entry.total)
+        }));
+    }
+
+    /**
+     * Open the trend chart for a justice pair
+     */
+    function openTrendChart(justice1, justice2) {
+        trendPair = [justice1, justice2];
+        trendContainer.hidden = false;
+        renderTrendChart();
+        trendContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        scheduleUrlUpdate();
+    }
+
+    /**
+     * Close the trend chart
+     */
+    function closeTrendChart() {
+        trendPair = null;
+        trendContainer.hidden = true;
+        trendChartEl.innerHTML = '';
+        scheduleUrlUpdate();
+    }
+
+    /**
+     * Render the per-term agreement line, 95% confidence band and case-count bars for the trend pair
+     */
+    function renderTrendChart() {
+        if (!trendPair) return;
+
+        const [justice1, justice2] = trendPair;
+        trendTitleEl.textContent = `${formatJusticeName(justice1)} & ${formatJusticeName(justice2)}`;
+
+        // The trend spans the pair's whole shared tenure, which may reach outside the loaded chunks
+        const { firstTerm, lastTerm } = getSharedTenure(justice1, justice2);
+        const loading = firstTerm <= lastTerm ? loadTerms(firstTerm, lastTerm) : null;
+        if (loading) {
+            trendSummaryEl.textContent = 'Loading cases...';
+            loading.then(renderTrendChart, showLoadError);
+            return;
+        }
+
+        const trend = getPairTrend(justice1, justice2);
+        const totalCases = trend.reduce((sum, t) => sum + t.total, 0);
+
+        trendSummaryEl.textContent = trend.length === 0
+            ? 'These justices never served together.'
+            : `${trend[0].term}-${trend[trend.length - 1].term}, ${totalCases} shared cases ` +
+              `(${METRICS[metric].label.toLowerCase()}; band = 95% Wilson interval)`;
+
+        trendChartEl.innerHTML = '';
+        if (totalCases === 0) return;
+
+        const margin = { top: 16, right: 56, bottom: 36, left: 56 };
+        const width = Math.max(320, trendChartEl.clientWidth || 800) - margin.left - margin.right;
+        const height = config.trendHeight - margin.top - margin.bottom;
+        const barHeight = height * 0.25;
+
+        const x = d3.scaleLinear()
+            .domain([trend[0].term - 0.5, trend[trend.length - 1].term + 0.5])
+            .range([0, width]);
+        const y = d3.scaleLinear().domain([0, 1]).range([height - barHeight - 8, 0]);
+        const yCount = d3.scaleLinear()
+            .domain([0, d3.max(trend, t => t.total)])
+            .range([height, height - barHeight]);
+        const barWidth = Math.max(1, width / trend.length - 2);
+
+        const svg = d3.select(trendChartEl)
+            .append('svg')
+            .attr('width', width + margin.left + margin.right)
+            .attr('height', height + margin.top + margin.bottom);
+        const g = svg.append('g')
+            .attr('transform', `translate(${margin.left}, ${margin.top})`);
+
+        // Highlight the slider range for context
+        const rangeStart = Math.max(yearStart, trend[0].term);
+        const rangeEnd = Math.min(yearEnd, trend[trend.length - 1].term);
+        if (rangeStart <= rangeEnd) {
+            g.append('rect')
+                .attr('class', 'trend-range')
+                .attr('x', x(rangeStart - 0.5))
+                .attr('width', x(rangeEnd + 0.5) - x(rangeStart - 0.5))
+                .attr('height', height);
+        }
+
+        g.append('g')
+            .attr('class', 'trend-bars')
+            .selectAll('rect')
+            .data(trend.filter(t => t.total > 0))
+            .join('rect')
+            .attr('x', t => x(t.term) - barWidth / 2)
+            .attr('y', t => yCount(t.total))
+            .attr('width', barWidth)
+            .attr('height', t => height - yCount(t.total));
+
+        const defined = t => t.rate !== null;
+        g.append('path')
+            .datum(trend)
+            .attr('class', 'trend-band')
+            .attr('d', d3.area()
+                .defined(defined)
+                .x(t => x(t.term))
+                .y0(t => y(t.lower))
+                .y1(t => y(t.upper)));
+
+        g.append('path')
+            .datum(trend)
+            .attr('class', 'trend-line')
+            .attr('d', d3.line()
+                .defined(defined)
+                .x(t => x(t.term))
+                .y(t => y(t.rate)));
+
+        g.append('g')
+            .selectAll('circle')
+            .data(trend.filter(defined))
+            .join('circle')
+            .attr('class', 'trend-point')
+            .attr('cx', t => x(t.term))
+            .attr('cy', t => y(t.rate))
+            .attr('r', 3.5)
+            .on('mouseenter', (event, t) => {
+                showTooltipContent(event, `
+                    <div class="tooltip-title">Term ${t.term}</div>
+                    <div class="tooltip-row highlight">
+                        <span>Agreement:</span>
+                        <span class="value">${(t.rate * 100).toFixed(1)}%</span>
+                    </div>
+                    <div class="tooltip-row">
+                        <span>95% interval:</span>
+                        <span class="value">${(t.lower * 100).toFixed(0)}-${(t.upper * 100).toFixed(0)}%</span>
+                    </div>
+                    <div class="tooltip-row">
+                        <span>Agreed / Cases:</span>
+                        <span class="value">${t.agreed} / ${t.total}</span>
+                    </div>
+                    <div class="tooltip-metric">${METRICS[metric].label}</div>
+                `);
+            })
+            .on('mousemove', (event) => moveTooltip(event))
+            .on('mouseleave', () => hideTooltip());
+
+        const tickStep = Math.max(1, Math.ceil(trend.length / 12));
+        g.append('g')
+            .attr('class', 'trend-axis')
+            .attr('transform', `translate(0, ${height})`)
+            .call(d3.axisBottom(x)
+                .tickValues(trend.map(t => t.term).filter((term, i) => i % tickStep === 0))
+                .tickFormat(d3.format('d')));
+
+        g.append('g')
+            .attr('class', 'trend-axis')
+            .call(d3.axisLeft(y).ticks(5).tickFormat(d3.format('.0%')));
+
+        g.append('g')
+            .attr('class', 'trend-axis')
+            .attr('transform', `translate(${width}, 0)`)
+            .call(d3.axisRight(yCount).ticks(2).tickFormat(d3.format('d')));
+
+        g.append('text')
+            .attr('class', 'trend-axis-label')
+            .attr('transform', `translate(${width + 44}, ${height - barHeight / 2}) rotate(90)`)
+            .attr('text-anchor', 'middle')
+            .text('Cases');
+    }
+
+    /**
+     * Setup trend chart buttons (case panel, justice dropdown and close)
+     */
+    function setupTrendChart() {
+        trendCloseBtn.addEventListener('click', closeTrendChart);
+
+        casePanelTrendBtn.addEventListener('click', () => {
+            if (drilldownPair) openTrendChart(drilldownPair[0], drilldownPair[1]);
+        });
+
+        dropdownTrendBtn.addEventListener('click', () => {
+            if (selectedJustices !== null && selectedJustices.size === 2) {
+                setDropdownOpen(false);
+                const [justice1, justice2] = Array.from(selectedJustices);
+                openTrendChart(justice1, justice2);
+            }
+        });
+    }
+
+    /**
+     * Default comparison: the current slider range (B) against the equally long stretch of terms before it (A)
+     */
+    function defaultCompareRanges() {
+        const { minTerm } = data.metadata;
+        const length = yearEnd - yearStart + 1;
+        const end = Math.max(minTerm, yearStart - 1);
+        return { a: [Math.max(minTerm, end - length + 1), end], b: [yearStart, yearEnd] };
+    }
+
+    /**
+     * Agreement matrices of periods a and b over the active justices who voted in both,
+     * in the current ordering
+     */
+    function comparePeriods(a, b) {
+        const periodCases = ([start, end]) => data.cases.filter(c => c.term >= start && c.term <= end && matchesCaseFilters(c));
+        const casesA = periodCases(a);
+        const casesB = periodCases(b);
+
+        const inB = new Set(getAllJusticesInRange(casesB));
+        const shared = getActiveJustices(getAllJusticesInRange(casesA).filter(j => inB.has(j)));
+        const justices = orderJustices(shared, calculateConcurrence(casesA, shared)).justices;
+        return {
+            justices,
+            matrixA: calculateConcurrence(casesA, justices),
+            matrixB: calculateConcurrence(casesB, justices),
+            caseCountA: casesA.length,
+            caseCountB: casesB.length
+        };
+    }
+
+    /**
+     * Render the period comparison: justices who voted in both periods, with both matrices
+     * side by side or one matrix of the change in rate from period A to period B
+     */
+    function renderComparison() {
+        if (!showCompare) return;
+
+        const { a, b } = compareRanges;
+        const loads = [loadTerms(a[0], a[1]), loadTerms(b[0], b[1])].filter(Boolean);
+        if (loads.length > 0) {
+            compareSummaryEl.textContent = 'Loading cases...';
+            Promise.all(loads).then(renderComparison, showLoadError);
+            return;
+        }
+
+        // The periods do not follow the main slider, so moving it alone needn't recompute them
+        const key = [a, b, metric, minCases, ordering, JSON.stringify(caseFilters),
+            selectedJustices === null ? '' : Array.from(selectedJustices).sort()].join('|');
+        if (compareCache?.key !== key) {
+            compareCache = { key, periods: comparePeriods(a, b) };
+        }
+        const { justices, matrixA, matrixB, caseCountA, caseCountB } = compareCache.periods;
+
+        compareChartEl.innerHTML = '';
+        compareLegendEl.innerHTML = '';
+        const labelA = `${a[0]}-${a[1]}`;
+        const labelB = `${b[0]}-${b[1]}`;
+        if (justices.length < 2) {
+            compareSummaryEl.textContent = `Fewer than two justices voted in both ${labelA} and ${labelB}.`;
+            return;
+        }
+
+        const known = cell => cell.rate !== null && cell.total >= minCases;
+        const changes = [];
+        for (let i = 0; i < justices.length; i++) {
+            for (let j = i + 1; j < justices.length; j++) {
+                if (known(matrixA[i][j]) && known(matrixB[i][j])) {
+                    changes.push({ i, j, change: matrixB[i][j].rate - matrixA[i][j].rate });
+                }
+            }
+        }
+
+        const formatChange = change => `${change >= 0 ? '+' : ''}${(change * 100).toFixed(1)} pts`;
+        const pairName = ({ i, j }) => `${formatJusticeName(justices[i])} & ${formatJusticeName(justices[j])}`;
+        const largest = d3.greatest(changes, c => c.change);
+        const smallest = d3.least(changes, c => c.change);
+        compareSummaryEl.textContent = `${justices.length} justices voted in both ${labelA} (${caseCountA} cases) ` +
+            `and ${labelB} (${caseCountB} cases); ${METRICS[metric].label.toLowerCase()}.` +
+            (changes.length > 0
+                ? ` Mean change ${formatChange(d3.mean(changes, c => c.change))}; ` +
+                  `largest rise ${pairName(largest)} (${formatChange(largest.change)}), ` +
+                  `largest fall ${pairName(smallest)} (${formatChange(smallest.change)}).`
+                : '');
+
+        const describe = (i, j) => {
+            const row = (label, cell) => `
+                <div class="tooltip-row">
+                    <span>${label}:</span>
+                    <span class="value">${known(cell) ? `${(cell.rate * 100).toFixed(1)}% (${cell.agreed}/${cell.total})` : 'n/a'}</span>
+                </div>`;
+            const change = known(matrixA[i][j]) && known(matrixB[i][j]) ? matrixB[i][j].rate - matrixA[i][j].rate : null;
+            return `
+                <div class="tooltip-title">${formatJusticeName(justices[i])} & ${formatJusticeName(justices[j])}</div>
+                ${row(labelA, matrixA[i][j])}
+                ${row(labelB, matrixB[i][j])}
+                <div class="tooltip-row highlight">
+                    <span>Change:</span>
+                    <span class="value">${change === null ? 'n/a' : formatChange(change)}</span>
+                </div>
+                <div class="tooltip-metric">${METRICS[metric].label}</div>
+            `;
+        };
+
+        if (compareMode === 'side') {
+            // One color scale across both periods so equal colors mean equal rates
+            const rates = [matrixA, matrixB].flatMap(matrix => matrix.flatMap((row, i) =>
+                row.filter((cell, j) => i !== j && known(cell)).map(cell => cell.rate)));
+            const [minRate, maxRate] = rates.length > 0 ? d3.extent(rates) : [0, 1];
+            const scale = makeColorScale(minRate, maxRate);
+            renderCompareLegend(scale, scale.domain(), rate => `${(rate * 100).toFixed(0)}%`);
+
+            for (const [label, matrix] of [[labelA, matrixA], [labelB, matrixB]]) {
+                drawCompareMatrix(label, justices, 2, (i, j) => (known(matrix[i][j]) ? scale(matrix[i][j].rate) : null), describe);
+            }
+        } else {
+            const limit = Math.max(config.minCompareChange, d3.max(changes, c => Math.abs(c.change)) || 0);
+            const scale = d3.scaleDiverging(DIVERGING_SCHEMES[colorScheme]).domain([-limit, 0, limit]);
+            renderCompareLegend(scale, [-limit, limit], formatChange);
+
+            const changeAt = new Map(changes.map(c => [`${c.i}|${c.j}`, c.change]));
+            drawCompareMatrix(`${labelB} minus ${labelA}`, justices, 1, (i, j) => {
+                const change = changeAt.get(i < j ? `${i}|${j}` : `${j}|${i}`);
+                return change === undefined ? null : scale(change);
+            }, describe);
+        }
+    }
+
+    /**
+     * Draw one compact comparison matrix. fill(i, j) returns a cell color (null = no data);
+     * describe(i, j) returns tooltip HTML. Clicking a pair opens its trend chart.
+     */
+    function drawCompareMatrix(title, justices, columns, fill, describe) {
+        const n = justices.length;
+        const labelWidth = config.compareLabelWidth;
+        const available = (compareChartEl.clientWidth || 1000) / columns - labelWidth - 24;
+        const cellSize = Math.max(config.minCompareCellSize, Math.min(config.maxCellSize, Math.floor(available / n)));
+        const size = labelWidth + n * cellSize;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'compare-matrix';
+        const titleEl = document.createElement('div');
+        titleEl.className = 'compare-matrix-title';
+        titleEl.textContent = title;
+        wrapper.appendChild(titleEl);
+        compareChartEl.appendChild(wrapper);
+
+        const g = d3.select(wrapper)
+            .append('svg')
+            .attr('width', size + 8)
+            .attr('height', size + 8)
+            .append('g')
+            .attr('transform', `translate(${labelWidth}, ${labelWidth})`);
+
+        const cellData = [];
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) cellData.push({ i, j });
+        }
+
+        g.selectAll('rect')
+            .data(cellData)
+            .join('rect')
+            .attr('class', d => `compare-cell${d.i === d.j ? ' diagonal' : ''}`)
+            .attr('x', d => d.j * cellSize)
+            .attr('y', d => d.i * cellSize)
+            .attr('width', cellSize)
+            .attr('height', cellSize)
+            .attr('fill', d => (d.i === d.j ? null : fill(d.i, d.j)))
+            .classed('no-overlap', d => d.i !== d.j && fill(d.i, d.j) === null)
+            .on('mouseenter', (event, d) => {
+                if (d.i === d.j) {
+                    showTooltip(event, justices[d.i], justices[d.i], null, true);
+                } else {
+                    showTooltipContent(event, describe(d.i, d.j));
+                }
+            })
+            .on('mousemove', (event) => moveTooltip(event))
+            .on('mouseleave', () => hideTooltip())
+            .on('click', (event, d) => {
+                if (d.i !== d.j) openTrendChart(justices[d.i], justices[d.j]);
+            });
+
+        g.selectAll('text.row-label')
+            .data(justices)
+            .join('text')
+            .attr('class', 'axis-label row-label')
+            .attr('x', -6)
+            .attr('y', (d, i) => i * cellSize + cellSize / 2)
+            .attr('dy', '0.35em')
+            .attr('text-anchor', 'end')
+            .text(d => formatJusticeName(d));
+
+        g.selectAll('text.col-label')
+            .data(justices)
+            .join('text')
+            .attr('class', 'axis-label col-label')
+            .attr('text-anchor', 'start')
+            .attr('transform', (d, i) => `translate(${i * cellSize + cellSize / 2}, -6) rotate(-45)`)
+            .text(d => formatJusticeName(d));
+    }
+
+    /**
+     * Show the comparison color scale as a gradient with end and middle labels
+     */
+    function renderCompareLegend(scale, [low, high], format) {
+        const stops = d3.range(0, 1.0001, 0.25).map(t => `${scale(low + t * (high - low))} ${t * 100}%`);
+        compareLegendEl.innerHTML = `
+            <div class="compare-legend-gradient" style="background: linear-gradient(to right, ${stops.join(', ')})"></div>
+            <div class="compare-legend-labels">
+                <span>${format(low)}</span>
+                <span>${format((low + high) / 2)}</span>
+                <span>${format(high)}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Setup the period comparison toggle, term inputs, display mode and close button
+     */
+    function setupComparison() {
+        function setCompareVisible(visible) {
+            showCompare = visible;
+            compareToggle.checked = visible;
+            compareContainer.hidden = !visible;
+            if (visible) {
+                if (!compareRanges) compareRanges = defaultCompareRanges();
+                syncCompareInputs();
+                renderComparison();
+                compareContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            } else {
+                compareChartEl.innerHTML = '';
+            }
+            scheduleUrlUpdate();
+        }
+
+        compareToggle.addEventListener('change', () => setCompareVisible(compareToggle.checked));
+        compareCloseBtn.addEventListener('click', () => setCompareVisible(false));
+
+        const inputs = { a: [compareAStartInput, compareAEndInput], b: [compareBStartInput, compareBEndInput] };
+        for (const [period, [startInput, endInput]] of Object.entries(inputs)) {
+            const update = () => {
+                const { minTerm, maxTerm } = data.metadata;
+                const start = parseInt(startInput.value, 10);
+                const end = parseInt(endInput.value, 10);
+                if (isNaN(start) || isNaN(end)) return;
+
+                const clamp = term => Math.min(maxTerm, Math.max(minTerm, term));
+                compareRanges[period] = [clamp(Math.min(start, end)), clamp(Math.max(start, end))];
+                syncCompareInputs();
+                renderComparison();
+                scheduleUrlUpdate();
+            };
+            startInput.addEventListener('change', update);
+            endInput.addEventListener('change', update);
+        }
+
+        compareModeSelect.addEventListener('change', () => {
+            compareMode = compareModeSelect.value === 'side' ? 'side' : 'diff';
+            renderComparison();
+            scheduleUrlUpdate();
+        });
+    }
+
+    /**
+     * Push the comparison ranges into the term inputs
+     */
+    function syncCompareInputs() {
+        const { minTerm, maxTerm } = data.metadata;
+        for (const input of [compareAStartInput, compareAEndInput, compareBStartInput, compareBEndInput]) {
+            input.min = minTerm;
+            input.max = maxTerm;
+        }
+        if (!compareRanges) return;
+        [compareAStartInput.value, compareAEndInput.value] = compareRanges.a;
+        [compareBStartInput.value, compareBEndInput.value] = compareRanges.b;
+    }
+
+    /**
+     * Stop the network simulation and clear the chart
+     */
+    function stopNetwork() {
+        if (networkSimulation) networkSimulation.stop();
+        networkSimulation = null;
+        networkChartEl.innerHTML = '';
+    }
+
+    /**
+     * Render the agreement network for the current view: justices as nodes colored by
+     * appointing party, linked when their rate meets the edge threshold. Uses the same
+     * cells as the matrix, so the period, justice selection and minimum cases apply.
+     */
+    function renderNetwork() {
+        if (!showNetwork) return;
+
+        const { justices, matrix } = currentView;
+        const nodes = justices.map((id, i) => {
+            if (!networkNodes.has(id)) networkNodes.set(id, { id });
+            return Object.assign(networkNodes.get(id), { cases: matrix[i][i].total });
+        });
+        const links = [];
+        let pairCount = 0;
+        for (let i = 0; i < justices.length; i++) {
+            for (let j = i + 1; j < justices.length; j++) {
+                const cell = matrix[i][j];
+                if (cell.rate === null || cell.total < minCases) continue;
+                pairCount++;
+                if (cell.rate >= networkThreshold) {
+                    links.push({ key: `${justices[i]}|${justices[j]}`, source: justices[i], target: justices[j], cell });
+                }
+            }
+        }
+
+        networkSummaryEl.textContent = justices.length === 0
+            ? 'No cases found in this time period.'
+            : `${links.length} of ${pairCount} pairs agree at least ${Math.round(networkThreshold * 100)}% ` +
+              `(${METRICS[metric].label.toLowerCase()}, min ${minCases} case${minCases === 1 ? '' : 's'})`;
+        renderNetworkLegend(justices);
+
+        if (justices.length === 0) {
+            stopNetwork();
+            return;
+        }
+        if (!networkSimulation) createNetwork();
+
+        const width = Math.max(320, networkChartEl.clientWidth || 800);
+        const height = config.networkHeight;
+        const radius = d3.scaleSqrt()
+            .domain([0, d3.max(nodes, d => d.cases) || 1])
+            .range([3, 12]);
+        for (const d of nodes) d.radius = radius(d.cases);
+
+        // Stronger agreement draws thicker edges and pulls nodes closer together
+        const rateScale = d3.scaleLinear().domain([networkThreshold, 1]).clamp(true);
+        const edgeWidth = rateScale.copy().range([0.5, 4]);
+        const edgeDistance = rateScale.copy().range([160, 40]);
+
+        const svg = d3.select(networkChartEl).select('svg')
+            .attr('width', width)
+            .attr('height', height);
+
+        const link = svg.select('.network-links')
+            .selectAll('line')
+            .data(links, d => d.key)
+            .join(enter => enter.append('line')
+                .attr('class', 'network-link')
+                .on('mouseenter', (event, d) => showTooltip(event, d.source.id, d.target.id, d.cell, false))
+                .on('mousemove', (event) => moveTooltip(event))
+                .on('mouseleave', () => hideTooltip())
+                .on('click', (event, d) => openCasePanel(d.source.id, d.target.id)))
+            .attr('stroke-width', d => edgeWidth(d.cell.rate));
+
+        const node = svg.select('.network-nodes')
+            .selectAll('g.network-node')
+            .data(nodes, d => d.id)
+            .join(enter => {
+                const g = enter.append('g')
+                    .attr('class', 'network-node')
+                    .on('mouseenter', (event, d) => showTooltip(event, d.id, d.id, null, true))
+                    .on('mousemove', (event) => moveTooltip(event))
+                    .on('mouseleave', () => hideTooltip())
+                    .call(networkDrag());
+                g.append('circle');
+                g.append('text')
+                    .attr('dy', '0.35em')
+                    .text(d => formatJusticeName(d.id));
+                return g;
+            });
+
+        node.select('circle')
+            .attr('r', d => d.radius)
+            .attr('fill', d => PARTY_COLORS[data.justices[d.id]?.party] || 'var(--text-muted)');
+        node.select('text')
+            .attr('x', d => d.radius + 3);
+
+        // Only the first layout starts from scratch; later renders keep the running simulation,
+        // swap in the new nodes and links, and let it settle from where it is
+        const firstLayout = nodes.every(d => d.x === undefined);
+        for (const d of nodes) {
+            if (d.x === undefined && !firstLayout) {
+                d.x = width / 2 + (Math.random() - 0.5) * 40;
+                d.y = height / 2 + (Math.random() - 0.5) * 40;
+            }
+        }
+
+        networkSimulation.nodes(nodes);
+        networkSimulation.force('link')
+            .links(links)
+            .distance(d => edgeDistance(d.cell.rate));
+        networkSimulation.force('center').x(width / 2).y(height / 2);
+        networkSimulation.force('collide').radius(d => d.radius + 2);
+        networkSimulation.on('tick', () => {
+            for (const d of nodes) {
+                d.x = Math.max(d.radius, Math.min(width - d.radius, d.x));
+                d.y = Math.max(d.radius, Math.min(height - d.radius, d.y));
+            }
+            link
+                .attr('x1', d => d.source.x)
+                .attr('y1', d => d.source.y)
+                .attr('x2', d => d.target.x)
+                .attr('y2', d => d.target.y);
+            node.attr('transform', d => `translate(${d.x}, ${d.y})`);
+        });
+        networkSimulation.alpha(firstLayout ? 1 : Math.max(networkSimulation.alpha(), 0.3)).restart();
+    }
+
+    /**
+     * Create the network chart's SVG layers and its (stopped) force simulation
+     */
+    function createNetwork() {
+        networkChartEl.innerHTML = '';
+        const svg = d3.select(networkChartEl).append('svg');
+        svg.append('g').attr('class', 'network-links');
+        svg.append('g').attr('class', 'network-nodes');
+
+        networkSimulation = d3.forceSimulation()
+            .force('link', d3.forceLink().id(d => d.id))
+            .force('charge', d3.forceManyBody().strength(-120))
+            .force('center', d3.forceCenter())
+            .force('collide', d3.forceCollide())
+            .stop();
+    }
+
+    /**
+     * Drag behavior for network nodes: a dragged node is pinned while the layout follows it
+     */
+    function networkDrag() {
+        return d3.drag()
+            .on('start', (event, d) => {
+                if (!event.active) networkSimulation.alphaTarget(0.3).restart();
+                d.fx = d.x;
+                d.fy = d.y;
+            })
+            .on('drag', (event, d) => {
+                d.fx = event.x;
+                d.fy = event.y;
+            })
+            .on('end', (event, d) => {
+                if (!event.active) networkSimulation.alphaTarget(0);
+                d.fx = null;
+                d.fy = null;
+            });
+    }
+
+    /**
+     * List the appointing parties present in the network with their node colors
+     */
+    function renderNetworkLegend(justices) {
+        const present = new Set(justices.map(id => data.justices[id]?.party));
+        networkLegendEl.innerHTML = PARTY_ORDER
+            .filter(party => present.has(party))
+            .map(party => `
+                <span class="analysis-legend-item">
+                    <span class="party-swatch" style="background:${PARTY_COLORS[party]}"></span>
+                    ${data.metadata.parties?.[party] || party}
+                </span>
+            `)
+            .join('');
+    }
+
+    /**
+     * Setup the agreement network toggle, edge threshold slider and close button
+     */
+    function setupNetwork() {
+        function setNetworkVisible(visible) {
+            showNetwork = visible;
+            networkToggle.checked = visible;
+            networkContainer.hidden = !visible;
+            if (!visible) stopNetwork();
+            // On wide screens the panel takes its width from the matrix, which is redrawn to fit
+            renderMatrix();
+            if (visible) networkContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            scheduleUrlUpdate();
+        }
+
+        networkToggle.addEventListener('change', () => setNetworkVisible(networkToggle.checked));
+        networkCloseBtn.addEventListener('click', () => setNetworkVisible(false));
+
+        // The threshold only changes which edges are drawn; the matrix needs no new aggregation
+        networkThresholdInput.addEventListener('input', () => {
+            networkThreshold = parseInt(networkThresholdInput.value, 10) / 100;
+            networkThresholdDisplay.textContent = `${networkThresholdInput.value}%`;
+            renderNetwork();
+            scheduleUrlUpdate();
+        });
+    }
+
+    /**
+     * Tally the closely divided cases in the current period: how often each justice sat in
+     * them, joined the majority and cast a decisive vote (a one-vote margin), and how often
+     * each winning and losing coalition formed. Always uses majority/dissent votes.
+     */
+    function getSwingStats() {
+        const splits = Object.fromEntries(CLOSE_SPLITS.map(split => [split, 0]));
+        const justices = new Map(); // justice -> { cases, majority, decisive }
+        const winning = new Map(); // coalition key -> { members, count }
+        const losing = new Map();
+        let caseCount = 0;
+
+        const addCoalition = (coalitions, members) => {
+            const key = members.join(',');
+            if (!coalitions.has(key)) coalitions.set(key, { members, count: 0 });
+            coalitions.get(key).count++;
+        };
+
+        for (const c of filterCases()) {
+            const majority = [];
+            const dissent = [];
+            for (const [justice, vote] of Object.entries(c.votes)) {
+                (vote === 2 ? majority : dissent).push(justice);
+            }
+
+            const split = `${majority.length}-${dissent.length}`;
+            if (!(split in splits)) continue;
+            splits[split]++;
+            caseCount++;
+
+            const decisive = majority.length - dissent.length === 1;
+            for (const justice of [...majority, ...dissent]) {
+                if (!justices.has(justice)) justices.set(justice, { cases: 0, majority: 0, decisive: 0 });
+                justices.get(justice).cases++;
+            }
+            for (const justice of majority) {
+                justices.get(justice).majority++;
+                if (decisive) justices.get(justice).decisive++;
+            }
+
+            addCoalition(winning, sortBySeniority(majority));
+            addCoalition(losing, sortBySeniority(dissent));
+        }
+
+        return { caseCount, splits, justices, winning, losing };
+    }
+
+    /**
+     * Render the swing vote panel: justices ranked by how reliably they join the majority
+     * of closely divided cases, and the coalitions that most often win and lose them
+     */
+    function renderSwingPanel() {
+        if (!showSwing) return;
+
+        const stats = getSwingStats();
+        const splitText = CLOSE_SPLITS.map(split => `${stats.splits[split]} ${split}`).join(', ');
+        swingSummaryEl.textContent = stats.caseCount === 0
+            ? 'No closely divided cases in this period.'
+            : `${stats.caseCount} closely divided cases (${splitText}), ${yearStart}-${yearEnd}; ` +
+              'ranked by the lower end of the 95% interval of their majority rate';
+
+        // Rank by the Wilson lower bound so a justice with a handful of close cases does not top the list
+        const ranking = getActiveJustices(sortBySeniority(Array.from(stats.justices.keys())))
+            .map(id => {
+                const entry = stats.justices.get(id);
+                return { id, ...entry, rate: entry.majority / entry.cases, ...wilsonInterval(entry.majority, entry.cases) };
+            })
+            .sort((a, b) => b.lower - a.lower || b.cases - a.cases);
+
+        swingRankingEl.innerHTML = ranking.map((r, i) => `
+            <tr>
+                <td class="analysis-rank">${i + 1}</td>
+                <td title="${formatJusticeFullName(r.id)}">
+                    <span class="party-swatch" style="background:${PARTY_COLORS[data.justices[r.id]?.party] || 'var(--text-muted)'}"></span>
+                    ${formatJusticeName(r.id)}
+                </td>
+                <td class="analysis-number">${r.cases}</td>
+                <td class="analysis-rate">
+                    <div class="analysis-bar"><div class="analysis-bar-fill" style="width:${(r.rate * 100).toFixed(1)}%"></div></div>
+                    <span title="95% interval ${(r.lower * 100).toFixed(0)}-${(r.upper * 100).toFixed(0)}%">
+                        ${r.majority} (${(r.rate * 100).toFixed(0)}%)
+                    </span>
+                </td>
+                <td class="analysis-number">${r.decisive}</td>
+            </tr>
+        `).join('');
+
+        renderCoalitions(swingWinningEl, stats.winning);
+        renderCoalitions(swingLosingEl, stats.losing);
+    }
+
+    /**
+     * List the most frequent coalitions, largest count first
+     */
+    function renderCoalitions(listEl, coalitions) {
+        const top = Array.from(coalitions.values())
+            .sort((a, b) => b.count - a.count)
+            .slice(0, config.coalitionCount);
+
+        listEl.innerHTML = top.length === 0
+            ? '<li class="coalition-empty">None</li>'
+            : top.map(coalition => `
+                <li>
+                    <span class="coalition-count">${coalition.count}&times;</span>
+                    ${coalition.members.map(formatJusticeName).join(', ')}
+                </li>
+            `).join('');
+    }
+
+    /**
+     * Setup the swing vote panel toggle and close button
+     */
+    function setupSwingPanel() {
+        function setSwingVisible(visible) {
+            showSwing = visible;
+            swingToggle.checked = visible;
+            swingContainer.hidden = !visible;
+            if (visible) {
+                renderSwingPanel();
+                swingContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            }
+            scheduleUrlUpdate();
+        }
+
+        swingToggle.addEventListener('change', () => setSwingVisible(swingToggle.checked));
+        swingCloseBtn.addEventListener('click', () => setSwingVisible(false));
+    }
+
+    /**
+     * Tally the vote splits of the decisions in the current period, overall and per term:
+     * the split of each case, and each justice's cases, dissents and solo dissents.
+     * Always uses majority/dissent votes.
+     */
+    function getSplitStats() {
+        const splits = new Map(); // "majority-dissent" -> { majority, dissent, count }
+        const justices = new Map(); // justice -> { cases, dissents, solo }
+        const terms = new Map(); // term -> { term, cases, classes (case counts by dissent class), justices }
+        let caseCount = 0, unanimous = 0, oneVote = 0;
+
+        const tally = (map, justice, dissented, solo) => {
+            if (!map.has(justice)) map.set(justice, { cases: 0, dissents: 0, solo: 0 });
+            const entry = map.get(justice);
+            entry.cases++;
+            if (dissented) entry.dissents++;
+            if (solo) entry.solo++;
+        };
+
+        for (const c of filterCases()) {
+            const voters = Object.entries(c.votes);
+            if (voters.length === 0) continue;
+            const dissent = voters.filter(([, vote]) => vote !== 2).length;
+            const majority = voters.length - dissent;
+
+            caseCount++;
+            if (dissent === 0) unanimous++;
+            if (majority - dissent === 1) oneVote++;
+
+            const key = `${majority}-${dissent}`;
+            if (!splits.has(key)) splits.set(key, { majority, dissent, count: 0 });
+            splits.get(key).count++;
+
+            if (!terms.has(c.term)) {
+                terms.set(c.term, { term: c.term, cases: 0, classes: SPLIT_CLASSES.map(() => 0), justices: new Map() });
+            }
+            const termEntry = terms.get(c.term);
+            termEntry.cases++;
+            termEntry.classes[Math.min(dissent, SPLIT_CLASSES.length - 1)]++;
+
+            for (const [justice, vote] of voters) {
+                const dissented = vote !== 2;
+                tally(justices, justice, dissented, dissented && dissent === 1);
+                tally(termEntry.justices, justice, dissented, dissented && dissent === 1);
+            }
+        }
+
+        return {
+            caseCount,
+            unanimous,
+            oneVote,
+            splits: Array.from(splits.values()).sort((a, b) => a.dissent - b.dissent || b.majority - a.majority),
+            justices,
+            terms: Array.from(terms.values()).sort((a, b) => a.term - b.term)
+        };
+    }
+
+    /**
+     * Render the vote split panel: unanimity and one-vote shares, the margin histogram,
+     * per-justice dissent rates and the per-term trends
+     */
+    function renderSplitsPanel() {
+        if (!showSplits) return;
+
+        const stats = getSplitStats();
+        const percent = count => `${(stats.caseCount > 0 ? count / stats.caseCount * 100 : 0).toFixed(1)}%`;
+        splitsSummaryEl.textContent = stats.caseCount === 0
+            ? 'No cases found in this time period.'
+            : `${stats.caseCount} decisions, ${yearStart}-${yearEnd}: ${percent(stats.unanimous)} unanimous, ` +
+              `${percent(stats.oneVote)} decided by one vote`;
+
+        drawSplitsHistogram(stats);
+
+        const rows = getActiveJustices(sortBySeniority(Array.from(stats.justices.keys())))
+            .map(id => ({ id, ...stats.justices.get(id) }))
+            .sort((a, b) => b.dissents / b.cases - a.dissents / a.cases || b.cases - a.cases);
+
+        splitsJusticesEl.innerHTML = rows.map(r => `
+            <tr class="splits-row${r.id === splitsJustice ? ' selected' : ''}" data-justice="${r.id}">
+                <td title="${formatJusticeFullName(r.id)}">
+                    <span class="party-swatch" style="background:${PARTY_COLORS[data.justices[r.id]?.party] || 'var(--text-muted)'}"></span>
+                    ${formatJusticeName(r.id)}
+                </td>
+                <td class="analysis-number">${r.cases}</td>
+                <td class="analysis-rate">
+                    <div class="analysis-bar"><div class="analysis-bar-fill" style="width:${(r.dissents / r.cases * 100).toFixed(1)}%"></div></div>
+                    ${r.dissents} (${(r.dissents / r.cases * 100).toFixed(1)}%)
+                </td>
+                <td class="analysis-number">${r.solo}</td>
+            </tr>
+        `).join('');
+
+        drawSplitsTrend(stats);
+        drawSplitsJusticeTrend(stats, rows.map(r => r.id));
+    }
+
+    /**
+     * Histogram of decisions by split (9-0, 8-1, ... 5-4, and short-bench splits)
+     */
+    function drawSplitsHistogram(stats) {
+        splitsHistogramEl.innerHTML = '';
+        if (stats.caseCount === 0) return;
+
+        const margin = { top: 20, right: 8, bottom: 36, left: 40 };
+        const width = Math.max(240, stats.splits.length * config.splitBarWidth);
+        const height = config.splitsHeight - margin.top - margin.bottom;
+
+        const x = d3.scaleBand().domain(stats.splits.map(s => `${s.majority}-${s.dissent}`)).range([0, width]).padding(0.2);
+        const y = d3.scaleLinear().domain([0, d3.max(stats.splits, s => s.count)]).nice().range([height, 0]);
+
+        const g = d3.select(splitsHistogramEl)
+            .append('svg')
+            .attr('width', width + margin.left + margin.right)
+            .attr('height', height + margin.top + margin.bottom)
+            .append('g')
+            .attr('transform', `translate(${margin.left}, ${margin.top})`);
+
+        const bar = g.selectAll('g.splits-bar')
+            .data(stats.splits)
+            .join('g')
+            .attr('class', 'splits-bar')
+            .attr('transform', s => `translate(${x(`${s.majority}-${s.dissent}`)}, 0)`)
+            .on('mouseenter', (event, s) => {
+                showTooltipContent(event, `
+                    <div class="tooltip-title">${s.majority}-${s.dissent}</div>
+                    <div class="tooltip-row highlight">
+                        <span>Decisions:</span>
+                        <span class="value">${s.count} (${(s.count / stats.caseCount * 100).toFixed(1)}%)</span>
+                    </div>
+                `);
+            })
+            .on('mousemove', (event) => moveTooltip(event))
+            .on('mouseleave', () => hideTooltip());
+
+        bar.append('rect')
+            .attr('y', s => y(s.count))
+            .attr('width', x.bandwidth())
+            .attr('height', s => height - y(s.count))
+            .attr('fill', s => SPLIT_CLASSES[Math.min(s.dissent, SPLIT_CLASSES.length - 1)].color);
+
+        bar.append('text')
+            .attr('class', 'splits-bar-label')
+            .attr('x', x.bandwidth() / 2)
+            .attr('y', s => y(s.count) - 4)
+            .attr('text-anchor', 'middle')
+            .text(s => `${Math.round(s.count / stats.caseCount * 100)}%`);
+
+        g.append('g')
+            .attr('class', 'trend-axis')
+            .attr('transform', `translate(0, ${height})`)
+            .call(d3.axisBottom(x));
+
+        g.append('g')
+            .attr('class', 'trend-axis')
+            .call(d3.axisLeft(y).ticks(4).tickFormat(d3.format('d')));
+
+        g.append('text')
+            .attr('class', 'trend-axis-label')
+            .attr('x', width / 2)
+            .attr('y', height + 32)
+            .attr('text-anchor', 'middle')
+            .text('Majority-dissent split');
+    }
+
+    /**
+     * Per-term shares of decisions by number of dissenters (stacked), with the share of
+     * unanimous decisions drawn over them
+     */
+    function drawSplitsTrend(stats) {
+        const { terms } = stats;
+        splitsTrendChartEl.innerHTML = '';
+        splitsTrendSummaryEl.textContent = terms.length === 0 ? '' : 'Decisions per term by number of dissenters';
+
+        splitsLegendEl.innerHTML = terms.length === 0 ? '' : SPLIT_CLASSES.map(splitClass => `
+            <span class="analysis-legend-item">
+                <span class="splits-legend-swatch" style="background:${splitClass.color}"></span>
+                ${splitClass.label}
+            </span>
+        `).join('') + `
+            <span class="analysis-legend-item">
+                <span class="splits-legend-line"></span>
+                Unanimous share
+            </span>
+        `;
+        if (terms.length === 0) return;
+
+        const margin = { top: 16, right: 24, bottom: 36, left: 56 };
+        const width = Math.max(320, splitsTrendChartEl.clientWidth || 800) - margin.left - margin.right;
+        const height = config.trendHeight - margin.top - margin.bottom;
+
+        const x = d3.scaleBand().domain(terms.map(t => t.term)).range([0, width]).padding(0.1);
+        const y = d3.scaleLinear().domain([0, 1]).range([height, 0]);
+
+        const g = d3.select(splitsTrendChartEl)
+            .append('svg')
+            .attr('width', width + margin.left + margin.right)
+            .attr('height', height + margin.top + margin.bottom)
+            .append('g')
+            .attr('transform', `translate(${margin.left}, ${margin.top})`);
+
+        const series = d3.stack()
+            .keys(SPLIT_CLASSES.map((_, k) => k))
+            .value((t, k) => t.classes[k] / t.cases)(terms);
+
+        g.append('g')
+            .selectAll('g')
+            .data(series)
+            .join('g')
+            .attr('fill', layer => SPLIT_CLASSES[layer.key].color)
+            .selectAll('rect')
+            .data(layer => layer)
+            .join('rect')
+            .attr('x', d => x(d.data.term))
+            .attr('y', d => y(d[1]))
+            .attr('width', x.bandwidth())
+            .attr('height', d => y(d[0]) - y(d[1]))
+            .on('mouseenter', (event, d) => {
+                const t = d.data;
+                showTooltipContent(event, `
+                    <div class="tooltip-title">Term ${t.term}</div>
+                    ${SPLIT_CLASSES.map((splitClass, k) => `
+                        <div class="tooltip-row${k === 0 ? ' highlight' : ''}">
+                            <span>${splitClass.label}:</span>
+                            <span class="value">${t.classes[k]} (${(t.classes[k] / t.cases * 100).toFixed(0)}%)</span>
+                        </div>`).join('')}
+                    <div class="tooltip-row">
+                        <span>Decisions:</span>
+                        <span class="value">${t.cases}</span>
+                    </div>
+                `);
+            })
+            .on('mousemove', (event) => moveTooltip(event))
+            .on('mouseleave', () => hideTooltip());
+
+        g.append('path')
+            .datum(terms)
+            .attr('class', 'trend-line splits-unanimous-line')
+            .attr('d', d3.line()
+                .x(t => x(t.term) + x.bandwidth() / 2)
+                .y(t => y(t.classes[0] / t.cases)));
+
+        const tickStep = Math.max(1, Math.ceil(terms.length / 12));
+        g.append('g')
+            .attr('class', 'trend-axis')
+            .attr('transform', `translate(0, ${height})`)
+            .call(d3.axisBottom(x)
+                .tickValues(terms.map(t => t.term).filter((term, i) => i % tickStep === 0))
+                .tickFormat(d3.format('d')));
+
+        g.append('g')
+            .attr('class', 'trend-axis')
+            .call(d3.axisLeft(y).ticks(5).tickFormat(d3.format('.0%')));
+    }
+
+    /**
+     * Per-term dissent rate (or solo dissent count) of each justice, one line per justice;
+     * the selected justice's line is drawn on top with its terms marked
+     */
+    function drawSplitsJusticeTrend(stats, justices) {
+        const { terms } = stats;
+        const solo = splitsMeasure === 'solo';
+        const measureLabel = solo ? 'Solo dissents' : 'Dissent rate';
+        splitsJusticeChartEl.innerHTML = '';
+        splitsJusticeSummaryEl.textContent = terms.length === 0 || justices.length === 0 ? '' : splitsJustice
+            ? `${measureLabel} per term for each justice; highlighted: ${formatJusticeName(splitsJustice)}`
+            : `${measureLabel} per term for each justice. Click a justice or line to highlight them.`;
+        if (terms.length === 0 || justices.length === 0) return;
+
+        const lines = justices.map(id => ({
+            id,
+            points: terms
+                .filter(t => t.justices.has(id))
+                .map(t => ({ term: t.term, ...t.justices.get(id) }))
+        }));
+        const value = p => (solo ? p.solo : p.dissents / p.cases);
+
+        const margin = { top: 16, right: 24, bottom: 36, left: 56 };
+        const width = Math.max(320, splitsJusticeChartEl.clientWidth || 800) - margin.left - margin.right;
+        const height = config.trendHeight - margin.top - margin.bottom;
+
+        const x = d3.scaleBand().domain(terms.map(t => t.term)).range([0, width]).padding(0.1);
+        const maxSolo = Math.max(1, d3.max(lines, line => d3.max(line.points, p => p.solo)) || 0);
+        const y = d3.scaleLinear().domain([0, solo ? maxSolo : 1]).range([height, 0]);
+        const cx = p => x(p.term) + x.bandwidth() / 2;
+        const cy = p => y(value(p));
+
+        const g = d3.select(splitsJusticeChartEl)
+            .append('svg')
+            .attr('width', width + margin.left + margin.right)
+            .attr('height', height + margin.top + margin.bottom)
+            .append('g')
+            .attr('transform', `translate(${margin.left}, ${margin.top})`);
+
+        const tickStep = Math.max(1, Math.ceil(terms.length / 12));
+        g.append('g')
+            .attr('class', 'trend-axis')
+            .attr('transform', `translate(0, ${height})`)
+            .call(d3.axisBottom(x)
+                .tickValues(terms.map(t => t.term).filter((term, i) => i % tickStep === 0))
+                .tickFormat(d3.format('d')));
+
+        g.append('g')
+            .attr('class', 'trend-axis')
+            .call(solo
+                ? d3.axisLeft(y).ticks(Math.min(5, maxSolo)).tickFormat(d3.format('d'))
+                : d3.axisLeft(y).ticks(5).tickFormat(d3.format('.0%')));
+
+        // The selected justice last, so their line is drawn over the others
+        const ordered = lines.filter(line => line.id !== splitsJustice).concat(lines.filter(line => line.id === splitsJustice));
+        g.append('g')
+            .selectAll('path')
+            .data(ordered)
+            .join('path')
+            .attr('class', line => `splits-justice-line${line.id === splitsJustice ? ' selected' : ''}`)
+            .attr('stroke', line => PARTY_COLORS[data.justices[line.id]?.party] || 'var(--text-muted)')
+            .attr('d', line => d3.line().x(cx).y(cy)(line.points))
+            .on('mouseenter', (event, line) => {
+                showTooltipContent(event, `
+                    <div class="tooltip-title">${formatJusticeName(line.id)}</div>
+                    <div class="tooltip-row">
+                        <span>${measureLabel}:</span>
+                        <span class="value">${solo
+                            ? d3.sum(line.points, p => p.solo)
+                            : `${(d3.sum(line.points, p => p.dissents) / d3.sum(line.points, p => p.cases) * 100).toFixed(1)}%`}</span>
+                    </div>
+                `);
+            })
+            .on('mousemove', (event) => moveTooltip(event))
+            .on('mouseleave', () => hideTooltip())
+            .on('click', (event, line) => selectSplitsJustice(line.id));
+
+        const selected = lines.find(line => line.id === splitsJustice);
+        if (selected) {
+            g.append('g')
+                .selectAll('circle')
+                .data(selected.points)
+                .join('circle')
+                .attr('class', 'trend-point')
+                .attr('cx', cx)
+                .attr('cy', cy)
+                .attr('r', 3.5)
+                .on('mouseenter', (event, p) => {
+                    showTooltipContent(event, `
+                        <div class="tooltip-title">${formatJusticeName(splitsJustice)}, Term ${p.term}</div>
+                        <div class="tooltip-row${solo ? '' : ' highlight'}">
+                            <span>Dissent rate:</span>
+                            <span class="value">${(p.dissents / p.cases * 100).toFixed(1)}%</span>
+                        </div>
+                        <div class="tooltip-row">
+                            <span>Dissents / Cases:</span>
+                            <span class="value">${p.dissents} / ${p.cases}</span>
+                        </div>
+                        <div class="tooltip-row${solo ? ' highlight' : ''}">
+                            <span>Solo dissents:</span>
+                            <span class="value">${p.solo}</span>
+                        </div>
+                    `);
+                })
+                .on('mousemove', (event) => moveTooltip(event))
+                .on('mouseleave', () => hideTooltip());
+        }
+    }
+
+    /**
+     * Highlight a justice in the per-justice vote split trend; selecting them again clears it
+     */
+    function selectSplitsJustice(justice) {
+        splitsJustice = justice === splitsJustice ? null : justice;
+        renderSplitsPanel();
+        scheduleUrlUpdate();
+    }
+
+    /**
+     * Setup the vote split panel toggle, justice selection and close button
+     */
+    function setupSplitsPanel() {
+        function setSplitsVisible(visible) {
+            showSplits = visible;
+            splitsToggle.checked = visible;
+            splitsContainer.hidden = !visible;
+            if (visible) {
+                renderSplitsPanel();
+                splitsContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            }
+            scheduleUrlUpdate();
+        }
+
+        splitsToggle.addEventListener('change', () => setSplitsVisible(splitsToggle.checked));
+        splitsCloseBtn.addEventListener('click', () => setSplitsVisible(false));
+
+        // Clicking a justice highlights them in the per-justice trend; clicking them again clears it
+        splitsJusticesEl.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-justice]');
+            if (row) selectSplitsJustice(row.dataset.justice);
+        });
+
+        splitsMeasureSelect.addEventListener('change', () => {
+            splitsMeasure = splitsMeasureSelect.value === 'solo' ? 'solo' : 'rate';
+            renderSplitsPanel();
+            scheduleUrlUpdate();
+        });
+    }
+
+    /**
+     * Render the ideal point panel: justices in the current view scaled from their
+     * concurrence matrix, the first axis running liberal (left) to conservative (right)
+     */
+    function renderIdealPoints() {
+        if (!showIdeal) return;
+
+        const { justices, matrix } = currentView;
+        idealChartEl.innerHTML = '';
+        if (justices.length < 3) {
+            idealSummaryEl.textContent = 'Ideal points need at least three justices in the view.';
+            renderIdealTrack();
+            return;
+        }
+
+        const { coords, imputed } = scaleJustices(justices.length, (i, j) => matrix[i][j], idealDimensions);
+        const liberalCounts = countLiberalVotes(filterCases());
+        orientIdealPoints(justices, coords, liberalCounts);
+
+        const pairCount = justices.length * (justices.length - 1) / 2;
+        const shortfall = minCases === 1 ? 'no shared case' : `fewer than ${minCases} shared cases`;
+        idealSummaryEl.textContent = `Classical MDS of concurrence distances (${METRICS[metric].label.toLowerCase()}), ` +
+            `${yearStart}-${yearEnd}` +
+            (imputed > 0 ? `; ${imputed} of ${pairCount} pairs with ${shortfall} placed via shared colleagues` : '') +
+            '. Click a justice to trace their position across their tenure.';
+
+        const points = justices.map((id, i) => {
+            const counts = liberalCounts.get(id);
+            return { id, x: coords[i][0], y: coords[i][1], liberal: counts && counts[1] > 0 ? counts[0] / counts[1] : null };
+        });
+
+        if (idealDimensions === 1) {
+            drawIdealDotPlot(points);
+        } else {
+            drawIdealScatter(points);
+        }
+        renderIdealTrack();
+    }
+
+    /**
+     * Attach the shared hover tooltip and click-to-trace behaviour to ideal point marks
+     */
+    function bindIdealPoint(selection) {
+        selection
+            .on('mouseenter', (event, p) => {
+                showTooltipContent(event, `
+                    <div class="tooltip-title">${formatJusticeFullName(p.id)}</div>
+                    <div class="tooltip-row highlight">
+                        <span>Position:</span>
+                        <span class="value">${p.x.toFixed(3)}</span>
+                    </div>
+                    ${p.y !== undefined ? `
+                    <div class="tooltip-row">
+                        <span>Second dimension:</span>
+                        <span class="value">${p.y.toFixed(3)}</span>
+                    </div>` : ''}
+                    <div class="tooltip-row">
+                        <span>Liberal votes:</span>
+                        <span class="value">${p.liberal === null ? 'n/a' : `${(p.liberal * 100).toFixed(1)}%`}</span>
+                    </div>
+                    <div class="tooltip-metric">${METRICS[metric].label}</div>
+                `);
+            })
+            .on('mousemove', (event) => moveTooltip(event))
+            .on('mouseleave', () => hideTooltip())
+            .on('click', (event, p) => openIdealTrack(p.id));
+    }
+
+    /**
+     * One-dimensional view: a dot plot with one row per justice, sorted by position
+     */
+    function drawIdealDotPlot(points) {
+        points.sort((a, b) => a.x - b.x);
+
+        const margin = { top: 8, right: 24, bottom: 40, left: 140 };
+        const width = Math.max(320, idealChartEl.clientWidth || 800) - margin.left - margin.right;
+        const height = points.length * config.idealRowHeight;
+
+        const x = d3.scaleLinear().domain(d3.extent(points, p => p.x)).nice().range([0, width]);
+        const y = d3.scaleBand().domain(points.map(p => p.id)).range([0, height]);
+
+        const g = d3.select(idealChartEl)
+            .append('svg')
+            .attr('width', width + margin.left + margin.right)
+            .attr('height', height + margin.top + margin.bottom)
+            .append('g')
+            .attr('transform', `translate(${margin.left}, ${margin.top})`);
+
+        const row = g.selectAll('g.ideal-row')
+            .data(points)
+            .join('g')
+            .attr('class', 'ideal-row')
+            .attr('transform', p => `translate(0, ${y(p.id) + y.bandwidth() / 2})`);
+
+        row.append('line')
+            .attr('class', 'ideal-row-line')
+            .attr('x2', width);
+
+        row.append('text')
+            .attr('class', 'ideal-label')
+            .attr('x', -8)
+            .attr('dy', '0.35em')
+            .attr('text-anchor', 'end')
+            .text(p => formatJusticeName(p.id))
+            .call(bindIdealPoint);
+
+        row.append('circle')
+            .attr('class', p => `ideal-point${p.id === idealTrack ? ' tracked' : ''}`)
+            .attr('cx', p => x(p.x))
+            .attr('r', 5)
+            .attr('fill', p => PARTY_COLORS[data.justices[p.id]?.party] || 'var(--text-muted)')
+            .call(bindIdealPoint);
+
+        drawIdealAxis(g, x, height, width);
+    }
+
+    /**
+     * Two-dimensional view: a scatter plot of the first two scaling axes
+     */
+    function drawIdealScatter(points) {
+        const margin = { top: 16, right: 100, bottom: 40, left: 40 };
+        const width = Math.max(320, idealChartEl.clientWidth || 800) - margin.left - margin.right;
+        const height = config.idealHeight - margin.top - margin.bottom;
+
+        const x = d3.scaleLinear().domain(d3.extent(points, p => p.x)).nice().range([0, width]);
+        const y = d3.scaleLinear().domain(d3.extent(points, p => p.y)).nice().range([height, 0]);
+
+        const g = d3.select(idealChartEl)
+            .append('svg')
+            .attr('width', width + margin.left + margin.right)
+            .attr('height', height + margin.top + margin.bottom)
+            .append('g')
+            .attr('transform', `translate(${margin.left}, ${margin.top})`);
+
+        g.append('g')
+            .attr('class', 'trend-axis')
+            .call(d3.axisLeft(y).ticks(5));
+
+        const point = g.selectAll('g.ideal-node')
+            .data(points)
+            .join('g')
+            .attr('class', 'ideal-node')
+            .attr('transform', p => `translate(${x(p.x)}, ${y(p.y)})`);
+
+        point.append('circle')
+            .attr('class', p => `ideal-point${p.id === idealTrack ? ' tracked' : ''}`)
+            .attr('r', 5)
+            .attr('fill', p => PARTY_COLORS[data.justices[p.id]?.party] || 'var(--text-muted)')
+            .call(bindIdealPoint);
+
+        point.append('text')
+            .attr('class', 'ideal-label')
+            .attr('x', 8)
+            .attr('dy', '0.35em')
+            .text(p => formatJusticeName(p.id))
+            .call(bindIdealPoint);
+
+        drawIdealAxis(g, x, height, width);
+    }
+
+    /**
+     * Bottom axis for the liberal-conservative dimension
+     */
+    function drawIdealAxis(g, x, height, width) {
+        g.append('g')
+            .attr('class', 'trend-axis')
+            .attr('transform', `translate(0, ${height})`)
+            .call(d3.axisBottom(x).ticks(6));
+
+        g.append('text')
+            .attr('class', 'trend-axis-label')
+            .attr('x', width / 2)
+            .attr('y', height + 34)
+            .attr('text-anchor', 'middle')
+            .text('← More liberal · More conservative →');
+    }
+
+    /**
+     * Show how a justice's position moved across their tenure
+     */
+    function openIdealTrack(justice) {
+        idealTrack = justice;
+        idealChartEl.querySelectorAll('.ideal-point')
+            .forEach(el => el.classList.toggle('tracked', d3.select(el).datum().id === justice));
+        renderIdealTrack();
+        idealTrackEl.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        scheduleUrlUpdate();
+    }
+
+    /**
+     * Close the tenure movement chart
+     */
+    function closeIdealTrack() {
+        idealTrack = null;
+        idealTrackEl.hidden = true;
+        idealTrackChartEl.innerHTML = '';
+        idealChartEl.querySelectorAll('.ideal-point.tracked').forEach(el => el.classList.remove('tracked'));
+        scheduleUrlUpdate();
+    }
+
+    /**
+     * Scale each sliding window of terms across a justice's tenure and return the justice's
+     * position in each, standardized against the justices of that window (mean 0, SD 1) so
+     * windows scaled separately can be compared
+     */
+    function getIdealTrack(justice, firstTerm, lastTerm) {
+        const span = config.idealWindow;
+        const votesField = METRICS[metric].votesField;
+        const liberalByTerm = d3.group(data.cases.filter(c =>
+            c.term >= firstTerm - span && c.term <= lastTerm + span && matchesCaseFilters(c)), c => c.term);
+
+        const track = [];
+        for (let term = firstTerm; term <= lastTerm; term++) {
+            // Term indexes make each window cheap; filters other than the term range fall back to a scan
+            const result = Concurrence.aggregate(data.cases, {
+                startTerm: term - span,
+                endTerm: term + span,
+                courts: null,
+                filters: { ...caseFilters },
+                votesField
+            }, termIndexes);
+
+            const n = result.justices.length;
+            const index = result.justices.indexOf(justice);
+            if (index === -1 || n < 3) continue;
+
+            const cellAt = (i, j) => {
+                const total = result.total[i * n + j];
+                return { total, rate: total > 0 ? result.agreed[i * n + j] / total : null };
+            };
+            const { coords } = scaleJustices(n, cellAt, 1);
+
+            const liberalCounts = new Map();
+            for (let t = term - span; t <= term + span; t++) {
+                countLiberalVotes(liberalByTerm.get(t) || [], liberalCounts);
+            }
+            orientIdealPoints(result.justices, coords, liberalCounts);
+
+            const positions = coords.map(point => point[0]);
+            const deviation = d3.deviation(positions) || 1;
+            track.push({
+                term,
+                position: (positions[index] - d3.mean(positions)) / deviation,
+                justices: n
+            });
+        }
+        return track;
+    }
+
+    /**
+     * Render the tracked justice's standardized position for each term of their tenure
+     */
+    function renderIdealTrack() {
+        if (!idealTrack) {
+            idealTrackEl.hidden = true;
+            return;
+        }
+        idealTrackEl.hidden = false;
+
+        const justice = idealTrack;
+        const { minTerm, maxTerm } = data.metadata;
+        const firstTerm = Math.max(minTerm, data.justices[justice]?.firstTerm ?? minTerm);
+        const lastTerm = Math.min(maxTerm, data.justices[justice]?.lastTerm ?? maxTerm);
+        idealTrackTitleEl.textContent = `${formatJusticeFullName(justice)}, ${firstTerm}-${lastTerm}`;
+
+        // Each term is scaled with its neighbours, which may reach outside the loaded chunks
+        const loading = loadTerms(firstTerm - config.idealWindow, lastTerm + config.idealWindow);
+        if (loading) {
+            idealTrackSummaryEl.textContent = 'Loading cases...';
+            loading.then(renderIdealTrack, showLoadError);
+            return;
+        }
+
+        // The track spans the whole tenure, so changing the selected range alone needn't rescale it
+        const key = [justice, metric, minCases, JSON.stringify(caseFilters)].join('|');
+        if (idealTrackCache?.key !== key) {
+            idealTrackCache = { key, track: getIdealTrack(justice, firstTerm, lastTerm) };
+        }
+        const { track } = idealTrackCache;
+        idealTrackSummaryEl.textContent = track.length === 0
+            ? 'Not enough cases to scale this justice\'s terms.'
+            : `Position in each ${config.idealWindow * 2 + 1}-term window relative to the justices serving then ` +
+              '(standard deviations from their mean; above zero = more conservative)';
+
+        idealTrackChartEl.innerHTML = '';
+        if (track.length === 0) return;
+
+        const margin = { top: 16, right: 24, bottom: 36, left: 56 };
+        const width = Math.max(320, idealTrackChartEl.clientWidth || 800) - margin.left - margin.right;
+        const height = config.trendHeight - margin.top - margin.bottom;
+
+        const x = d3.scaleLinear()
+            .domain([track[0].term - 0.5, track[track.length - 1].term + 0.5])
+            .range([0, width]);
+        const limit = Math.max(1, d3.max(track, t => Math.abs(t.position)));
+        const y = d3.scaleLinear().domain([-limit, limit]).nice().range([height, 0]);
+
+        const g = d3.select(idealTrackChartEl)
+            .append('svg')
+            .attr('width', width + margin.left + margin.right)
+            .attr('height', height + margin.top + margin.bottom)
+            .append('g')
+            .attr('transform', `translate(${margin.left}, ${margin.top})`);
+
+        g.append('line')
+            .attr('class', 'ideal-zero')
+            .attr('x2', width)
+            .attr('y1', y(0))
+            .attr('y2', y(0));
+
+        g.append('path')
+            .datum(track)
+            .attr('class', 'trend-line')
+            .attr('d', d3.line()
+                .x(t => x(t.term))
+                .y(t => y(t.position)));
+
+        g.append('g')
+            .selectAll('circle')
+            .data(track)
+            .join('circle')
+            .attr('class', 'trend-point')
+            .attr('cx', t => x(t.term))
+            .attr('cy', t => y(t.position))
+            .attr('r', 3.5)
+            .on('mouseenter', (event, t) => {
+                showTooltipContent(event, `
+                    <div class="tooltip-title">Term ${t.term}</div>
+                    <div class="tooltip-row highlight">
+                        <span>Position:</span>
+                        <span class="value">${t.position >= 0 ? '+' : ''}${t.position.toFixed(2)} SD</span>
+                    </div>
+                    <div class="tooltip-row">
+                        <span>Justices scaled:</span>
+                        <span class="value">${t.justices}</span>
+                    </div>
+                    <div class="tooltip-metric">${METRICS[metric].label}</div>
+                `);
+            })
+            .on('mousemove', (event) => moveTooltip(event))
+            .on('mouseleave', () => hideTooltip());
+
+        const tickStep = Math.max(1, Math.ceil(track.length / 12));
+        g.append('g')
+            .attr('class', 'trend-axis')
+            .attr('transform', `translate(0, ${height})`)
+            .call(d3.axisBottom(x)
+                .tickValues(track.map(t => t.term).filter((term, i) => i % tickStep === 0))
+                .tickFormat(d3.format('d')));
+
+        g.append('g')
+            .attr('class', 'trend-axis')
+            .call(d3.axisLeft(y).ticks(5));
+
+        g.append('text')
+            .attr('class', 'trend-axis-label')
+            .attr('transform', `translate(-40, ${height / 2}) rotate(-90)`)
+            .attr('text-anchor', 'middle')
+            .text('← Liberal · Conservative →');
+    }
+
+    /**
+     * Setup the ideal point panel toggle, dimension selector and close buttons
+     */
+    function setupIdealPoints() {
+        function setIdealVisible(visible) {
+            showIdeal = visible;
+            idealToggle.checked = visible;
+            idealContainer.hidden = !visible;
+            if (visible) {
+                renderIdealPoints();
+                idealContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            } else {
+                idealChartEl.innerHTML = '';
+                idealTrackChartEl.innerHTML = '';
+            }
+            scheduleUrlUpdate();
+        }
+
+        idealToggle.addEventListener('change', () => setIdealVisible(idealToggle.checked));
+        idealCloseBtn.addEventListener('click', () => setIdealVisible(false));
+        idealTrackCloseBtn.addEventListener('click', closeIdealTrack);
+
+        idealDimensionsSelect.addEventListener('change', () => {
+            idealDimensions = idealDimensionsSelect.value === '2' ? 2 : 1;
+            renderIdealPoints();
+            scheduleUrlUpdate();
+        });
+    }
+
+    /**
+     * Handle slider changes
+     */
+    function setupSliders() {
+        function updateSliders() {
+            const start = parseInt(yearStartSlider.value, 10);
+            const end = parseInt(yearEndSlider.value, 10);
+
+            // Ensure start <= end
+            if (start > end) {
+                if (this === yearStartSlider) {
+                    yearStartSlider.value = end;
+                } else {
+                    yearEndSlider.value = start;
+                }
+            }
+
+            setTermRange(parseInt(yearStartSlider.value, 10), parseInt(yearEndSlider.value, 10));
+
+            // Dragging a slider switches back from natural courts to a plain term range
+            selectedCourts = null;
+            updateCourtLabel();
+
+            pausePlayback();
+            updatePlaybackStatus();
+            renderMatrix();
+        }
+
+        yearStartSlider.addEventListener('input', updateSliders);
+        yearEndSlider.addEventListener('input', updateSliders);
+
+        // Page Up/Down move a handle by a decade; arrows, Home and End are handled natively
+        for (const slider of [yearStartSlider, yearEndSlider]) {
+            slider.addEventListener('keydown', (event) => {
+                if (event.key !== 'PageUp' && event.key !== 'PageDown') return;
+                event.preventDefault();
+                const step = event.key === 'PageUp' ? config.sliderPageStep : -config.sliderPageStep;
+                slider.value = parseInt(slider.value, 10) + step; // the input clamps to its min/max
+                updateSliders.call(slider);
+            });
+        }
+
+        // Touch and pen: press anywhere along the track and drag, and the nearer handle follows.
+        // The native thumbs are small targets, and on coarse pointers they pass touches through (see CSS).
+        const wrapper = yearStartSlider.parentElement;
+        const termAt = (event) => {
+            // Bounds are read per touch: loadData sets them from the data after setup
+            const min = parseInt(yearStartSlider.min, 10);
+            const max = parseInt(yearStartSlider.max, 10);
+            const rect = wrapper.getBoundingClientRect();
+            const ratio = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+            return Math.round(min + ratio * (max - min));
+        };
+        let dragged = null;
+        const dragTo = (term) => {
+            if (String(term) === dragged.value) return;
+            dragged.value = term;
+            updateSliders.call(dragged);
+        };
+
+        wrapper.addEventListener('pointerdown', (event) => {
+            if (event.pointerType === 'mouse') return;
+            const term = termAt(event);
+            const start = parseInt(yearStartSlider.value, 10);
+            const end = parseInt(yearEndSlider.value, 10);
+            // With both handles on one term, the side of the press picks the handle
+            dragged = Math.abs(term - start) < Math.abs(term - end) || (start === end && term < start)
+                ? yearStartSlider : yearEndSlider;
+            wrapper.setPointerCapture(event.pointerId);
+            event.preventDefault();
+            dragTo(term);
+        });
+        wrapper.addEventListener('pointermove', (event) => {
+            if (dragged) dragTo(termAt(event));
+        });
+        for (const type of ['pointerup', 'pointercancel']) {
+            wrapper.addEventListener(type, () => {
+                dragged = null;
+            });
+        }
+    }
+
+    /**
+     * Set the term range and move the slider handles and year displays to match
+     */
+    function setTermRange(start, end) {
+        yearStart = start;
+        yearEnd = end;
+        yearStartSlider.value = yearStart;
+        yearEndSlider.value = yearEnd;
+        yearStartDisplay.textContent = yearStart;
+        yearEndDisplay.textContent = yearEnd;
+        yearStartSlider.setAttribute('aria-valuetext', `From the ${yearStart} term`);
+        yearEndSlider.setAttribute('aria-valuetext', `To the ${yearEnd} term`);
+    }
+
+    /**
+     * Number of terms in the playback window, from the window size input
+     */
+    function getPlaybackWindow() {
+        const size = parseInt(playWindowInput.value, 10);
+        const span = data.metadata.maxTerm - data.metadata.minTerm + 1;
+        return isNaN(size) || size < 1 ? 1 : Math.min(size, span);
+    }
+
+    /**
+     * Show the current playback window and play/pause state
+     */
+    function updatePlaybackStatus() {
+        const playing = playTimer !== null;
+        playToggleBtn.textContent = playing ? '❚❚ Pause' : '▶ Play';
+        playToggleBtn.classList.toggle('active', playing);
+        playStatusEl.textContent = `Window: ${yearStart}-${yearEnd} (${yearEnd - yearStart + 1} term${yearEnd === yearStart ? '' : 's'})`;
+    }
+
+    /**
+     * Show the playback window starting at a term, animating the matrix into place
+     */
+    function showPlaybackFrame(start) {
+        const end = Math.min(data.metadata.maxTerm, start + getPlaybackWindow() - 1);
+        selectedCourts = null;
+        updateCourtLabel();
+        setTermRange(start, end);
+        renderMatrix({ animate: true });
+        updatePlaybackStatus();
+    }
+
+    /**
+     * Advance the window by one term. While playing, stops at the last term;
+     * a manual step past the end wraps back to the first term.
+     */
+    function stepPlayback() {
+        const { minTerm, maxTerm } = data.metadata;
+        if (yearStart + getPlaybackWindow() - 1 >= maxTerm) {
+            if (playTimer !== null) {
+                pausePlayback();
+                return;
+            }
+            showPlaybackFrame(minTerm);
+            return;
+        }
+        showPlaybackFrame(yearStart + 1);
+    }
+
+    /**
+     * Start playback from the current window (or from the first term if already at the end)
+     */
+    function startPlayback() {
+        const { minTerm, maxTerm } = data.metadata;
+        const start = yearStart + getPlaybackWindow() - 1 >= maxTerm ? minTerm : yearStart;
+        showPlaybackFrame(start);
+
+        // Fetch the rest of the timeline up front so frames do not stall on chunk loads
+        loadTerms(start, maxTerm)?.catch(showLoadError);
+
+        const delay = config.playStepDelay / parseFloat(playSpeedSelect.value);
+        playTimer = setInterval(stepPlayback, delay);
+        updatePlaybackStatus();
+    }
+
+    /**
+     * Stop playback, leaving the current window in place
+     */
+    function pausePlayback() {
+        if (playTimer === null) return;
+        clearInterval(playTimer);
+        playTimer = null;
+        updatePlaybackStatus();
+        writeUrlState(false);
+    }
+
+    /**
+     * Setup term-window playback controls
+     */
+    function setupPlayback() {
+        playToggleBtn.addEventListener('click', () => {
+            if (!data) return;
+            if (playTimer !== null) {
+                pausePlayback();
+            } else {
+                startPlayback();
+            }
+        });
+
+        playStepBtn.addEventListener('click', () => {
+            if (!data) return;
+            pausePlayback();
+            stepPlayback();
+        });
+
+        // Restart the timer so a new speed takes effect immediately
+        playSpeedSelect.addEventListener('change', () => {
+            if (playTimer === null) return;
+            clearInterval(playTimer);
+            playTimer = setInterval(stepPlayback, config.playStepDelay / parseFloat(playSpeedSelect.value));
+        });
+
+        playWindowInput.addEventListener('change', () => {
+            if (!data) return;
+            playWindowInput.value = getPlaybackWindow();
+            showPlaybackFrame(Math.min(yearStart, data.metadata.maxTerm - getPlaybackWindow() + 1));
+        });
+    }
+
+    /**
+     * Whether a case falls in the selected natural courts, or in the slider range when none are selected
+     */
+    function inSelectedPeriod(c) {
+        if (selectedCourts !== null) return selectedCourts.has(c.naturalCourt);
+        return c.term >= yearStart && c.term <= yearEnd;
+    }
+
+    /**
+     * Snap the term range to span the selected natural courts
+     */
+    function snapToSelectedCourts() {
+        if (selectedCourts === null) return;
+        const courts = (data.naturalCourts || []).filter(court => selectedCourts.has(court.id));
+        if (courts.length === 0) return;
+        setTermRange(
+            Math.min(...courts.map(court => court.startTerm)),
+            Math.max(...courts.map(court => court.endTerm)));
+    }
+
+    /**
+     * Populate the natural court picker with checkboxes
+     */
+    function populateCourtDropdown() {
+        const courts = data.naturalCourts || [];
+        courtToggle.disabled = courts.length === 0;
+        courtOptions.innerHTML = '';
+
+        for (const court of courts) {
+            const div = document.createElement('div');
+            div.className = 'dropdown-option';
+            div.dataset.courtId = court.id;
+            div.title = court.members.map(formatJusticeName).join(', ');
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `court-${court.id}`;
+            checkbox.checked = selectedCourts !== null && selectedCourts.has(court.id);
+            checkbox.addEventListener('change', () => handleCourtToggle(court.id, checkbox.checked));
+
+            const label = document.createElement('label');
+            label.htmlFor = `court-${court.id}`;
+            label.textContent = court.name;
 
-                if (i === j) {
-                    rect.classed('diagonal', true)
-                        .attr('fill', colorScale(maxRate));
-                } else if (cell.rate === null || cell.total < minCases) {
-                    rect.classed('no-overlap', true);
-                } else {
-                    rect.attr('fill', colorScale(cell.rate));
+            const termsSpan = document.createElement('span');
+            termsSpan.className = 'case-count';
+            termsSpan.textContent = court.startTerm === court.endTerm
+                ? `${court.startTerm}, ${court.cases} cases`
+                : `${court.startTerm}-${court.endTerm}, ${court.cases} cases`;
+
+            div.appendChild(checkbox);
+            div.appendChild(label);
+            div.appendChild(termsSpan);
+
+            // Click on row toggles checkbox
+            div.addEventListener('click', (e) => {
+                if (e.target !== checkbox && e.target !== label) {
+                    checkbox.checked = !checkbox.checked;
+                    handleCourtToggle(court.id, checkbox.checked);
                 }
+            });
 
-                // Tooltip events
-                rect.on('mouseenter', function(event) {
-                    showTooltip(event, justices[i], justices[j], cell, i === j);
-                })
-                .on('mousemove', function(event) {
-                    moveTooltip(event);
-                })
-                .on('mouseleave', function() {
-                    hideTooltip();
-                });
-            }
+            courtOptions.appendChild(div);
         }
 
-        // Draw row labels (justice names on left with years and party)
-        g.selectAll('.row-label')
-            .data(justices)
-            .enter()
-            .append('text')
-            .attr('class', 'axis-label')
-            .attr('x', -8)
-            .attr('y', (d, i) => i * cellSize + cellSize / 2)
-            .attr('dy', '0.35em')
-            .attr('text-anchor', 'end')
-            .text(d => formatJusticeLabel(d));
-
-        // Draw column labels (justice names only, rotated)
-        g.selectAll('.col-label')
-            .data(justices)
-            .enter()
-            .append('text')
-            .attr('class', 'axis-label')
-            .attr('x', (d, i) => i * cellSize + cellSize / 2)
-            .attr('y', -8)
-            .attr('text-anchor', 'start')
-            .attr('transform', (d, i) => `rotate(-45, ${i * cellSize + cellSize / 2}, -8)`)
-            .text(d => formatJusticeName(d));
+        updateCourtLabel();
     }
 
     /**
-     * Show tooltip
+     * Sync the natural court checkboxes and button label with the selection
      */
-    function showTooltip(event, justice1, justice2, cell, isDiagonal) {
-        const name1 = data.justices[justice1]?.name || justice1;
-        const name2 = data.justices[justice2]?.name || justice2;
+    function updateCourtLabel() {
+        for (const checkbox of courtOptions.querySelectorAll('input[type="checkbox"]')) {
+            const id = parseInt(checkbox.id.replace('court-', ''), 10);
+            checkbox.checked = selectedCourts !== null && selectedCourts.has(id);
+        }
 
-        let content;
-        if (isDiagonal) {
-            content = `
-                <div class="tooltip-title">${name1}</div>
-                <div class="tooltip-row">
-                    <span>Terms:</span>
-                    <span class="value">${data.justices[justice1]?.firstTerm || '?'} - ${data.justices[justice1]?.lastTerm || '?'}</span>
-                </div>
-            `;
-        } else if (cell.rate === null || cell.total < minCases) {
-            const reason = cell.total === 0 ? 'No overlapping cases' :
-                `Only ${cell.total} case${cell.total === 1 ? '' : 's'} (min: ${minCases})`;
-            content = `
-                <div class="tooltip-title">${name1} & ${name2}</div>
-                <div class="tooltip-row">
-                    <span>${reason}</span>
-                </div>
-            `;
+        if (selectedCourts === null) {
+            courtLabel.textContent = 'Use term range';
+        } else if (selectedCourts.size === 1) {
+            const id = Array.from(selectedCourts)[0];
+            courtLabel.textContent = data.naturalCourts.find(court => court.id === id)?.name || `Court ${id}`;
         } else {
-            const percentage = (cell.rate * 100).toFixed(1);
-            content = `
-                <div class="tooltip-title">${name1} & ${name2}</div>
-                <div class="tooltip-row highlight">
-                    <span>Concurrence Rate:</span>
-                    <span class="value">${percentage}%</span>
-                </div>
-                <div class="tooltip-row">
-                    <span>Cases Together:</span>
-                    <span class="value">${cell.total}</span>
-                </div>
-                <div class="tooltip-row">
-                    <span>Agreed:</span>
-                    <span class="value">${cell.agreed}</span>
-                </div>
-            `;
+            courtLabel.textContent = `${selectedCourts.size} natural courts`;
         }
-
-        tooltipEl.innerHTML = content;
-        tooltipEl.classList.add('visible');
-        moveTooltip(event);
     }
 
     /**
-     * Move tooltip to follow cursor
+     * Handle natural court checkbox toggle
      */
-    function moveTooltip(event) {
-        const padding = 15;
-        let x = event.clientX + padding;
-        let y = event.clientY + padding;
-
-        // Keep tooltip in viewport
-        const rect = tooltipEl.getBoundingClientRect();
-        if (x + rect.width > window.innerWidth) {
-            x = event.clientX - rect.width - padding;
-        }
-        if (y + rect.height > window.innerHeight) {
-            y = event.clientY - rect.height - padding;
+    function handleCourtToggle(courtId, checked) {
+        if (checked) {
+            selectedCourts = selectedCourts || new Set();
+            selectedCourts.add(courtId);
+        } else if (selectedCourts !== null) {
+            selectedCourts.delete(courtId);
+            if (selectedCourts.size === 0) selectedCourts = null;
         }
 
-        tooltipEl.style.left = x + 'px';
-        tooltipEl.style.top = y + 'px';
+        pausePlayback();
+        snapToSelectedCourts();
+        updateCourtLabel();
+        updatePlaybackStatus();
+        renderMatrix();
     }
 
     /**
-     * Hide tooltip
+     * Setup natural court picker
      */
-    function hideTooltip() {
-        tooltipEl.classList.remove('visible');
+    function setupCourtDropdown() {
+        courtToggle.addEventListener('click', () => {
+            courtMenu.classList.toggle('open');
+
+            // Bring the courts around the current range into view
+            const current = (data?.naturalCourts || []).find(court => court.endTerm >= yearStart);
+            const option = current && courtOptions.querySelector(`[data-court-id="${current.id}"]`);
+            if (option) courtOptions.scrollTop = option.offsetTop - courtOptions.offsetTop;
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.court-dropdown')) {
+                courtMenu.classList.remove('open');
+            }
+        });
+
+        courtClearBtn.addEventListener('click', () => {
+            selectedCourts = null;
+            updateCourtLabel();
+            renderMatrix();
+        });
     }
 
     /**
-     * Handle slider changes
+     * Clean up selected justices that no longer vote in the aggregated view. Runs on each
+     * result, once the chunks for the range are loaded, so links keep their justices.
      */
-    function setupSliders() {
-        function updateSliders() {
-            const start = parseInt(yearStartSlider.value, 10);
-            const end = parseInt(yearEndSlider.value, 10);
+    function pruneSelectedJustices(justices) {
+        if (selectedJustices === null) return;
 
-            // Ensure start <= end
-            if (start > end) {
-                if (this === yearStartSlider) {
-                    yearStartSlider.value = end;
-                } else {
-                    yearEndSlider.value = start;
-                }
+        const justicesInRange = new Set(justices);
+        for (const j of Array.from(selectedJustices)) {
+            if (!justicesInRange.has(j)) {
+                selectedJustices.delete(j);
             }
+        }
+        // If all remaining justices are selected, reset to null
+        if (selectedJustices.size === justicesInRange.size) {
+            selectedJustices = null;
+        }
+    }
 
-            yearStart = parseInt(yearStartSlider.value, 10);
-            yearEnd = parseInt(yearEndSlider.value, 10);
+    /**
+     * Open or close the justice dropdown, keeping the toggle's expanded state in step
+     */
+    function setDropdownOpen(open) {
+        dropdownMenu.classList.toggle('open', open);
+        dropdownToggle.setAttribute('aria-expanded', String(open));
+    }
 
-            yearStartDisplay.textContent = yearStart;
-            yearEndDisplay.textContent = yearEnd;
+    /**
+     * Mark a justice option as the listbox's active descendant (null clears it)
+     */
+    function setActiveOption(option) {
+        dropdownOptions.querySelectorAll('.dropdown-option.active').forEach(opt => opt.classList.remove('active'));
+        if (!option) {
+            dropdownOptions.removeAttribute('aria-activedescendant');
+            return;
+        }
+        option.classList.add('active');
+        dropdownOptions.setAttribute('aria-activedescendant', option.id);
+        option.scrollIntoView({ block: 'nearest' });
+    }
 
-            // Clean up selected justices that are no longer in range
-            if (selectedJustices !== null) {
-                const cases = filterCases();
-                const justicesInRange = new Set(getAllJusticesInRange(cases));
-                for (const j of Array.from(selectedJustices)) {
-                    if (!justicesInRange.has(j)) {
-                        selectedJustices.delete(j);
-                    }
-                }
-                // If all remaining justices are selected, reset to null
-                if (selectedJustices.size === justicesInRange.size) {
-                    selectedJustices = null;
-                }
-            }
+    /**
+     * Keyboard support for the justice listbox: arrows, Home and End move the active
+     * option among those matching the search, Space or Enter toggles it
+     */
+    function handleListboxKeydown(event) {
+        const options = Array.from(dropdownOptions.querySelectorAll('.dropdown-option:not(.hidden)'));
+        if (options.length === 0) return;
+        const active = dropdownOptions.querySelector('.dropdown-option.active');
+        const index = options.indexOf(active);
 
-            renderMatrix();
+        let next = null;
+        switch (event.key) {
+            case 'ArrowDown': next = options[Math.min(index + 1, options.length - 1)]; break;
+            case 'ArrowUp': next = options[Math.max(index - 1, 0)]; break;
+            case 'Home': next = options[0]; break;
+            case 'End': next = options[options.length - 1]; break;
+            case ' ':
+            case 'Enter':
+                if (index !== -1) {
+                    const checkbox = active.querySelector('input');
+                    checkbox.checked = !checkbox.checked;
+                    handleJusticeToggle(active.dataset.justiceId, checkbox.checked);
+                }
+                event.preventDefault();
+                return;
+            default:
+                return;
         }
-
-        yearStartSlider.addEventListener('input', updateSliders);
-        yearEndSlider.addEventListener('input', updateSliders);
+        event.preventDefault();
+        setActiveOption(next);
     }
 
     /**
@@ -588,13 +4980,37 @@
     function setupJusticeDropdown() {
         // Toggle dropdown
         dropdownToggle.addEventListener('click', () => {
-            dropdownMenu.classList.toggle('open');
+            setDropdownOpen(!dropdownMenu.classList.contains('open'));
         });
 
         // Close dropdown when clicking outside
         document.addEventListener('click', (e) => {
             if (!e.target.closest('.justice-dropdown')) {
-                dropdownMenu.classList.remove('open');
+                setDropdownOpen(false);
+            }
+        });
+
+        // Down arrow from the toggle or the search box moves into the list
+        const enterList = (event) => {
+            if (event.key !== 'ArrowDown') return;
+            event.preventDefault();
+            setDropdownOpen(true);
+            dropdownOptions.focus();
+        };
+        dropdownToggle.addEventListener('keydown', enterList);
+        justiceSearch.addEventListener('keydown', enterList);
+        dropdownOptions.addEventListener('keydown', handleListboxKeydown);
+        dropdownOptions.addEventListener('focus', () => {
+            if (!dropdownOptions.querySelector('.dropdown-option.active')) {
+                setActiveOption(dropdownOptions.querySelector('.dropdown-option:not(.hidden)'));
+            }
+        });
+
+        // Escape anywhere in the dropdown closes it and returns focus to the toggle
+        justiceDropdown.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && dropdownMenu.classList.contains('open')) {
+                setDropdownOpen(false);
+                dropdownToggle.focus();
             }
         });
 
@@ -610,6 +5026,8 @@
                     opt.classList.add('hidden');
                 }
             }
+            const active = dropdownOptions.querySelector('.dropdown-option.active');
+            if (active && active.classList.contains('hidden')) setActiveOption(null);
         });
 
         // Select all
@@ -646,6 +5064,356 @@
         });
     }
 
+    /**
+     * Setup issue area, issue, decision type and law type filters
+     */
+    function setupCategoryFilters() {
+        const selects = {
+            issueArea: issueAreaSelect,
+            issue: issueSelect,
+            decisionType: decisionTypeSelect,
+            lawType: lawTypeSelect
+        };
+
+        for (const [field, select] of Object.entries(selects)) {
+            select.addEventListener('change', () => {
+                caseFilters[field] = select.value === '' ? null : parseInt(select.value, 10);
+                if (field === 'issueArea') {
+                    updateIssueOptions();
+                }
+                renderMatrix();
+            });
+        }
+    }
+
+    /**
+     * Base filename for exports, e.g. "scotus-concurrence-2005-2024"
+     */
+    function exportFilename(extension) {
+        const suffix = metric === 'majority' ? '' : `-${metric}`;
+        return `scotus-concurrence-${yearStart}-${yearEnd}${suffix}.${extension}`;
+    }
+
+    /**
+     * Trigger a browser download for a blob
+     */
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * List each justice pair in the current view once, skipping pairs below the minimum case threshold
+     */
+    function getExportPairs() {
+        const { justices, matrix } = currentView;
+        const pairs = [];
+        for (let i = 0; i < justices.length; i++) {
+            for (let j = i + 1; j < justices.length; j++) {
+                const cell = matrix[i][j];
+                if (cell.rate === null || cell.total < minCases) continue;
+                pairs.push({
+                    justice1: justices[i],
+                    justice2: justices[j],
+                    rate: cell.rate,
+                    agreed: cell.agreed,
+                    total: cell.total
+                });
+            }
+        }
+        return pairs;
+    }
+
+    /**
+     * Quote a CSV field when it contains a delimiter, quote or line break
+     */
+    function csvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Export the current matrix as a CSV with one row per justice pair
+     */
+    function exportCSV() {
+        const header = ['justice1', 'justice1_name', 'justice2', 'justice2_name', 'rate', 'agreed', 'total'];
+        const lines = [header.join(',')];
+        for (const pair of getExportPairs()) {
+            lines.push([
+                pair.justice1,
+                formatJusticeName(pair.justice1),
+                pair.justice2,
+                formatJusticeName(pair.justice2),
+                pair.rate.toFixed(4),
+                pair.agreed,
+                pair.total
+            ].map(csvField).join(','));
+        }
+        downloadBlob(new Blob([lines.join('\r\n') + '\r\n'], { type: 'text/csv' }), exportFilename('csv'));
+    }
+
+    /**
+     * Export the current matrix and the settings that produced it as JSON
+     */
+    function exportJSON() {
+        const output = {
+            settings: {
+                termStart: yearStart,
+                termEnd: yearEnd,
+                metric,
+                metricLabel: METRICS[metric].label,
+                minCases,
+                filters: { ...caseFilters },
+                ordering,
+                caseCount: currentView.caseCount
+            },
+            justices: currentView.justices.map(id => ({
+                id,
+                name: formatJusticeName(id),
+                fullName: formatJusticeFullName(id),
+                party: data.justices[id]?.party || null,
+                president: data.justices[id]?.president || null,
+                firstTerm: data.justices[id]?.firstTerm ?? null,
+                lastTerm: data.justices[id]?.lastTerm ?? null
+            })),
+            pairs: getExportPairs(),
+            generatedAt: new Date().toISOString(),
+            source: data.metadata.source
+        };
+        downloadBlob(new Blob([JSON.stringify(output, null, 2)], { type: 'application/json' }), exportFilename('json'));
+    }
+
+    /**
+     * Build a standalone copy of the matrix SVG with computed styles inlined and the legend drawn in
+     */
+    function buildExportSVG() {
+        // The canvas renderer has no SVG to copy, and narrow screens show abbreviated labels,
+        // so in those cases draw a full one off-screen for the export
+        let source = isNarrowScreen() ? null : matrixEl.querySelector('svg');
+        let scratch = null;
+        if (!source && renderedMatrix) {
+            scratch = document.createElement('div');
+            scratch.className = 'export-scratch';
+            document.body.appendChild(scratch);
+            renderSvgMatrix(scratch, renderedMatrix, currentView.maxRate, false);
+            source = scratch.querySelector('svg');
+        }
+        if (!source) return null;
+
+        const clone = source.cloneNode(true);
+
+        // Inline the stylesheet-driven presentation so the file renders outside the page
+        const styleProps = ['fill', 'stroke', 'stroke-width', 'font-size', 'font-family', 'opacity'];
+        const originals = source.querySelectorAll('*');
+        const copies = clone.querySelectorAll('*');
+        for (let k = 0; k < originals.length; k++) {
+            const computed = window.getComputedStyle(originals[k]);
+            for (const prop of styleProps) {
+                const value = computed.getPropertyValue(prop);
+                if (value) copies[k].style.setProperty(prop, value);
+            }
+        }
+        // Keyboard focus and touch zoom are not part of the figure
+        clone.querySelectorAll('.focus-ring').forEach(ring => ring.remove());
+        clone.querySelector('g.zoom-layer').removeAttribute('transform');
+
+        const width = parseFloat(source.getAttribute('width'));
+        const height = parseFloat(source.getAttribute('height'));
+        const background = window.getComputedStyle(document.documentElement).getPropertyValue('--surface-color').trim();
+        const textColor = window.getComputedStyle(document.documentElement).getPropertyValue('--text-muted').trim();
+
+        const svg = d3.select(clone);
+        svg.insert('rect', ':first-child')
+            .attr('width', width)
+            .attr('height', height)
+            .attr('fill', background || '#16213e');
+
+        // Legend in the empty top-left corner between the row and column labels
+        const legendWidth = config.labelPadding - 40;
+        const [minRate, maxRate] = colorScale.domain();
+        const gradient = svg.append('defs')
+            .append('linearGradient')
+            .attr('id', 'export-legend-gradient');
+        for (const { offset, color } of colorStops(colorScale)) {
+            gradient.append('stop')
+                .attr('offset', `${offset}%`)
+                .attr('stop-color', color);
+        }
+
+        const legend = svg.append('g')
+            .attr('transform', 'translate(20, 24)')
+            .style('font-family', window.getComputedStyle(document.body).fontFamily)
+            .style('font-size', '11px')
+            .style('fill', textColor || '#a0a0a0');
+        legend.append('text')
+            .attr('y', 0)
+            .text(`${legendLabel.textContent.replace(/:$/, '')}, ${yearStart}-${yearEnd}`);
+        legend.append('rect')
+            .attr('y', 8)
+            .attr('width', legendWidth)
+            .attr('height', 12)
+            .attr('rx', 3)
+            .attr('fill', 'url(#export-legend-gradient)');
+        [[0, 'start', minRate], [legendWidth / 2, 'middle', (minRate + maxRate) / 2], [legendWidth, 'end', maxRate]]
+            .forEach(([x, anchor, rate]) => {
+                legend.append('text')
+                    .attr('x', x)
+                    .attr('y', 34)
+                    .attr('text-anchor', anchor)
+                    .text(`${(rate * 100).toFixed(0)}%`);
+            });
+
+        scratch?.remove();
+        return { clone, width, height };
+    }
+
+    /**
+     * Export the rendered matrix, including the legend, as an SVG file
+     */
+    function exportSVG() {
+        const built = buildExportSVG();
+        if (!built) return;
+        const markup = new XMLSerializer().serializeToString(built.clone);
+        downloadBlob(new Blob([markup], { type: 'image/svg+xml' }), exportFilename('svg'));
+    }
+
+    /**
+     * Export the rendered matrix as a high-resolution PNG by rasterizing the exported SVG
+     */
+    function exportPNG() {
+        const built = buildExportSVG();
+        if (!built) return;
+
+        const markup = new XMLSerializer().serializeToString(built.clone);
+        const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = built.width * config.pngScale;
+            canvas.height = built.height * config.pngScale;
+            const context = canvas.getContext('2d');
+            context.scale(config.pngScale, config.pngScale);
+            context.drawImage(image, 0, 0);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => downloadBlob(blob, exportFilename('png')), 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            console.error('Error rendering PNG export');
+        };
+        image.src = url;
+    }
+
+    /**
+     * Setup export menu
+     */
+    function setupExportMenu() {
+        const exporters = { csv: exportCSV, json: exportJSON, svg: exportSVG, png: exportPNG };
+
+        exportToggle.addEventListener('click', () => {
+            exportMenu.classList.toggle('open');
+        });
+
+        exportMenu.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-format]');
+            if (!btn || !data || currentView.justices.length === 0) return;
+            exportMenu.classList.remove('open');
+            exporters[btn.dataset.format]();
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.export-dropdown')) {
+                exportMenu.classList.remove('open');
+            }
+        });
+    }
+
+    /**
+     * Setup confidence-interval reliability display
+     */
+    function setupUncertaintyControls() {
+        uncertaintySelect.addEventListener('change', () => {
+            uncertaintyMode = UNCERTAINTY_MODES.includes(uncertaintySelect.value) ? uncertaintySelect.value : 'fade';
+            intervalWidthInput.disabled = uncertaintyMode === 'off';
+            renderMatrix();
+        });
+
+        intervalWidthInput.addEventListener('input', () => {
+            const val = parseInt(intervalWidthInput.value, 10);
+            if (isNaN(val) || val < 1 || val > 100) return;
+            maxIntervalWidth = val / 100;
+            renderMatrix();
+        });
+    }
+
+    /**
+     * Setup color scheme and color domain selectors
+     */
+    function setupColorControls() {
+        colorSchemeSelect.addEventListener('change', () => {
+            colorScheme = COLOR_SCHEMES[colorSchemeSelect.value] ? colorSchemeSelect.value : 'redgreen';
+            renderMatrix();
+        });
+
+        colorDomainSelect.addEventListener('change', () => {
+            colorDomain = colorDomainSelect.value === 'fixed' ? 'fixed' : 'relative';
+            renderMatrix();
+        });
+    }
+
+    /**
+     * Setup agreement metric selector
+     */
+    function setupMetricSelector() {
+        metricSelect.addEventListener('change', () => {
+            metric = METRICS[metricSelect.value] ? metricSelect.value : 'majority';
+            renderMatrix();
+        });
+    }
+
+    /**
+     * Setup row/column ordering selector, dendrogram toggle and bloc grouping
+     */
+    function setupOrdering() {
+        orderingSelect.addEventListener('change', () => {
+            ordering = ORDERINGS[orderingSelect.value] ? orderingSelect.value : 'seniority';
+            dendrogramToggle.disabled = ordering !== 'cluster';
+            renderMatrix({ animate: true });
+        });
+
+        dendrogramToggle.addEventListener('change', () => {
+            showDendrogram = dendrogramToggle.checked;
+            renderMatrix();
+        });
+
+        groupBySelect.addEventListener('change', () => {
+            groupBy = ['party', 'president'].includes(groupBySelect.value) ? groupBySelect.value : 'none';
+            expandedGroups.clear();
+            renderMatrix({ animate: true });
+        });
+    }
+
+    /**
+     * Restore the view when navigating back and forward through history
+     */
+    function setupHistory() {
+        window.addEventListener('popstate', () => {
+            if (!data) return;
+            clearTimeout(urlUpdateTimeout);
+            pausePlayback();
+            applyUrlState();
+            syncControls();
+            // Normalizing the restored URL must not push an entry, which would drop the forward history
+            renderMatrix({ animate: true, replaceUrl: true });
+        });
+    }
+
     /**
      * Handle window resize
      */
@@ -663,9 +5431,29 @@
      * Initialize application
      */
     function init() {
+        setupWorker();
         setupSliders();
+        setupPlayback();
+        setupCourtDropdown();
         setupJusticeDropdown();
         setupMinCasesFilter();
+        setupCategoryFilters();
+        setupMetricSelector();
+        setupUncertaintyControls();
+        setupColorControls();
+        setupOrdering();
+        setupMatrixKeyboard();
+        setupMatrixTable();
+        setupCellCard();
+        setupExportMenu();
+        setupCasePanel();
+        setupTrendChart();
+        setupComparison();
+        setupNetwork();
+        setupSwingPanel();
+        setupSplitsPanel();
+        setupIdealPoints();
+        setupHistory();
         setupResize();
         loadData();
     }
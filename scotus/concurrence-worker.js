@@ -0,0 +1,40 @@
+/**
+ * SCOTUS Justice Concurrence Matrix - aggregation worker
+ *
+ * Keeps a copy of the loaded cases and answers matrix queries off the main thread.
+ * Messages in:  { type: 'cases', cases }   cases from a newly loaded chunk
+ *               { type: 'query', id, ... } see Concurrence.aggregate
+ * Messages out: { type: 'result', id, caseCount, justices, caseCounts, agreed, total }
+ */
+
+importScripts('concurrence.js');
+
+let cases = [];
+let indexes = {}; // vote field -> term index, rebuilt lazily after new cases arrive
+let pendingQuery = null;
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    if (message.type === 'cases') {
+        cases = cases.concat(message.cases);
+        indexes = {};
+    } else if (message.type === 'query') {
+        // Answer only the newest query: any that arrive before this one runs replace it
+        const scheduled = pendingQuery !== null;
+        pendingQuery = message;
+        if (!scheduled) setTimeout(runPendingQuery, 0);
+    }
+};
+
+/**
+ * Run the newest pending query and post its result, transferring the count buffers
+ */
+function runPendingQuery() {
+    const query = pendingQuery;
+    pendingQuery = null;
+
+    const result = self.Concurrence.aggregate(cases, query, indexes);
+    self.postMessage({ type: 'result', id: query.id, ...result },
+        [result.caseCounts.buffer, result.agreed.buffer, result.total.buffer]);
+}
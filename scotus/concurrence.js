@@ -0,0 +1,204 @@
+/**
+ * SCOTUS Justice Concurrence Matrix - pairwise agreement aggregation
+ *
+ * Shared by the page (app.js) and the aggregation worker (concurrence-worker.js).
+ * Counts are returned as flat n*n agreed/total arrays over a list of justice ids;
+ * the diagonal holds the number of cases each justice has a code for.
+ */
+
+(function(root) {
+    'use strict';
+
+    /**
+     * Whether a query narrows cases by anything other than a term range
+     */
+    function needsScan(query) {
+        return query.courts !== null || Object.values(query.filters).some(value => value !== null);
+    }
+
+    /**
+     * Check a case against a query's period (natural courts, else term range) and category filters
+     */
+    function matchesQuery(c, query) {
+        if (query.courts !== null) {
+            if (!query.courts.includes(c.naturalCourt)) return false;
+        } else if (c.term < query.startTerm || c.term > query.endTerm) {
+            return false;
+        }
+        for (const [field, value] of Object.entries(query.filters)) {
+            if (value !== null && c[field] !== value) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Count agreements between every pair of the given justices by scanning cases
+     */
+    function countPairs(cases, justices, votesField) {
+        const n = justices.length;
+        const agreed = new Int32Array(n * n);
+        const total = new Int32Array(n * n);
+        const justiceIndex = new Map(justices.map((j, i) => [j, i]));
+
+        for (const c of cases) {
+            const votes = c[votesField] || {};
+            const voters = Object.keys(votes).filter(j => justiceIndex.has(j));
+
+            for (let i = 0; i < voters.length; i++) {
+                for (let j = i; j < voters.length; j++) {
+                    const ji = justiceIndex.get(voters[i]);
+                    const jj = justiceIndex.get(voters[j]);
+
+                    // Count total cases where both participated
+                    total[ji * n + jj]++;
+                    if (ji !== jj) total[jj * n + ji]++;
+
+                    // Count agreements (same side, or same direction)
+                    if (votes[voters[i]] === votes[voters[j]]) {
+                        agreed[ji * n + jj]++;
+                        if (ji !== jj) agreed[jj * n + ji]++;
+                    }
+                }
+            }
+        }
+
+        return { agreed, total };
+    }
+
+    /**
+     * Aggregate a list of already-filtered cases: the justices voting in them, each
+     * justice's case count, and pairwise counts on the given vote field
+     */
+    function scanCases(cases, votesField) {
+        const caseCountMap = new Map();
+        for (const c of cases) {
+            for (const justice of Object.keys(c.votes)) {
+                caseCountMap.set(justice, (caseCountMap.get(justice) || 0) + 1);
+            }
+        }
+
+        const justices = Array.from(caseCountMap.keys());
+        return {
+            caseCount: cases.length,
+            justices,
+            caseCounts: Int32Array.from(justices, j => caseCountMap.get(j)),
+            ...countPairs(cases, justices, votesField)
+        };
+    }
+
+    /**
+     * Build per-term prefix sums of case counts, per-justice case counts and pairwise
+     * agreement on a vote field, so any term range can be answered without rescanning.
+     * Each array has one slot per term plus a leading zero: sums up to term t are at t - minTerm + 1.
+     */
+    function buildTermIndex(cases, votesField) {
+        let minTerm = Infinity, maxTerm = -Infinity;
+        for (const c of cases) {
+            minTerm = Math.min(minTerm, c.term);
+            maxTerm = Math.max(maxTerm, c.term);
+        }
+        const length = cases.length > 0 ? maxTerm - minTerm + 2 : 1;
+
+        const caseSums = new Int32Array(length);
+        const justiceSums = new Map(); // justice -> case counts
+        const pairSums = new Map(); // "a|b" (a <= b) -> { a, b, agreed, total }
+
+        // Per-term counts first, stored one slot to the right of their term...
+        for (const c of cases) {
+            const slot = c.term - minTerm + 1;
+            caseSums[slot]++;
+
+            for (const justice of Object.keys(c.votes)) {
+                if (!justiceSums.has(justice)) justiceSums.set(justice, new Int32Array(length));
+                justiceSums.get(justice)[slot]++;
+            }
+
+            const votes = c[votesField] || {};
+            const voters = Object.keys(votes).sort();
+            for (let i = 0; i < voters.length; i++) {
+                for (let j = i; j < voters.length; j++) {
+                    const key = `${voters[i]}|${voters[j]}`;
+                    let pair = pairSums.get(key);
+                    if (!pair) {
+                        pair = { a: voters[i], b: voters[j], agreed: new Int32Array(length), total: new Int32Array(length) };
+                        pairSums.set(key, pair);
+                    }
+                    pair.total[slot]++;
+                    if (votes[voters[i]] === votes[voters[j]]) pair.agreed[slot]++;
+                }
+            }
+        }
+
+        // ...then accumulated in place
+        const accumulate = (sums) => {
+            for (let i = 1; i < sums.length; i++) sums[i] += sums[i - 1];
+        };
+        accumulate(caseSums);
+        justiceSums.forEach(accumulate);
+        pairSums.forEach(pair => {
+            accumulate(pair.agreed);
+            accumulate(pair.total);
+        });
+
+        return { minTerm, maxTerm, caseSums, justiceSums, pairSums };
+    }
+
+    /**
+     * Answer a term range from a term index, in the same shape as scanCases
+     */
+    function queryTermIndex(index, startTerm, endTerm) {
+        const from = Math.max(0, startTerm - index.minTerm);
+        const to = Math.min(index.caseSums.length - 1, endTerm - index.minTerm + 1);
+        const rangeSum = (sums) => (to > from ? sums[to] - sums[from] : 0);
+
+        const justices = [];
+        const caseCountList = [];
+        index.justiceSums.forEach((sums, justice) => {
+            const count = rangeSum(sums);
+            if (count > 0) {
+                justices.push(justice);
+                caseCountList.push(count);
+            }
+        });
+
+        const n = justices.length;
+        const justiceIndex = new Map(justices.map((j, i) => [j, i]));
+        const agreed = new Int32Array(n * n);
+        const total = new Int32Array(n * n);
+        index.pairSums.forEach(pair => {
+            const ia = justiceIndex.get(pair.a);
+            const ib = justiceIndex.get(pair.b);
+            if (ia === undefined || ib === undefined) return;
+            const pairTotal = rangeSum(pair.total);
+            if (pairTotal === 0) return;
+            const pairAgreed = rangeSum(pair.agreed);
+            total[ia * n + ib] = total[ib * n + ia] = pairTotal;
+            agreed[ia * n + ib] = agreed[ib * n + ia] = pairAgreed;
+        });
+
+        return {
+            caseCount: rangeSum(index.caseSums),
+            justices,
+            caseCounts: Int32Array.from(caseCountList),
+            agreed,
+            total
+        };
+    }
+
+    /**
+     * Answer an aggregation query: { startTerm, endTerm, courts (ids or null), filters, votesField }.
+     * Plain term ranges use (and lazily build) the term index for the vote field in indexes;
+     * natural court and category filters fall back to scanning the cases.
+     */
+    function aggregate(cases, query, indexes) {
+        if (needsScan(query)) {
+            return scanCases(cases.filter(c => matchesQuery(c, query)), query.votesField);
+        }
+        if (!indexes[query.votesField]) {
+            indexes[query.votesField] = buildTermIndex(cases, query.votesField);
+        }
+        return queryTermIndex(indexes[query.votesField], query.startTerm, query.endTerm);
+    }
+
+    root.Concurrence = { countPairs, scanCases, buildTermIndex, queryTermIndex, aggregate };
+})(self);
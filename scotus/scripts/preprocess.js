@@ -3,10 +3,20 @@
  * SCDB Data Preprocessing Script
  *
  * This script processes Supreme Court Database (SCDB) CSV files and converts them
- * to a compact JSON format for use in the browser-based visualization tool.
+ * to a compact columnar format for use in the browser-based visualization tool:
+ * data/scdb-manifest.json describes the justices, natural courts and term-range chunks,
+ * and data/chunks/terms-<start>-<end>.bin holds the cases and votes of each chunk as
+ * typed-array columns. The app fetches only the chunks covering the selected terms.
  *
  * Usage:
- *   node scripts/preprocess.js <legacy_csv_path> <modern_csv_path>
+ *   node scripts/preprocess.js [--strict] [--json] <legacy_csv_path> <modern_csv_path>
+ *
+ * Options:
+ *   --strict   Exit with a non-zero code (without writing the data file) when the
+ *              validation pass finds any issue. Warnings (justice term gaps) do not
+ *              fail the run. The report is written either way.
+ *   --json     Write the single data/scdb-votes.json file instead of the columnar chunks.
+ *              The app uses it when no manifest is present.
  *
  * Example:
  *   node scripts/preprocess.js ./raw/SCDB_Legacy_07_justiceCentered_Citation.csv ./raw/SCDB_2025_01_justiceCentered_Citation.csv
@@ -16,237 +26,38 @@
  *   - Modern (1946-2024): https://scdb.la.psu.edu/data/2025-release-01/
  *
  * Select "Justice Centered - Organized by Supreme Court Citation" and download the CSV version.
+ *
+ * The CSV files are streamed, so memory use does not grow with file size. Rows that cannot be
+ * used (wrong field count, missing case/term/justice) are written with their source line numbers
+ * to data/scdb-rejects.csv. A validation report is written to data/scdb-validation.json.
+ *
+ * Justice names, aliases, appointing presidents and parties come from scripts/justice-metadata.json.
+ * Every SCDB justice name must resolve to an entry there (directly or through an alias); the
+ * script stops with an error listing any that do not.
  */
 
 const fs = require('fs');
 const path = require('path');
 
-// Comprehensive mapping of SCDB justice names to appointing president's party
-// F = Federalist, DR = Democratic-Republican, D = Democrat, R = Republican, W = Whig
-const JUSTICE_PARTY = {
-    // Washington appointments (Federalist-era, no formal party but aligned Federalist)
-    'JJay': 'F',
-    'JRutledge': 'F',
-    'WCushing': 'F',
-    'JWilson': 'F',
-    'JBlair': 'F',
-    'JIredell': 'F',
-    'TJohnson': 'F',
-    'WPaterson': 'F',
-    'SChase': 'F',
-    'OEllsworth': 'F',
-
-    // John Adams (Federalist)
-    'BWashington': 'F',
-    'AMoore': 'F',
-    'JMarshall': 'F',
-
-    // Jefferson (Democratic-Republican)
-    'WJohnson': 'DR',
-    'HBLivingston': 'DR',
-    'TTodd': 'DR',
-
-    // Madison (Democratic-Republican)
-    'GDuvall': 'DR',
-    'JStory': 'DR',
-
-    // Monroe (Democratic-Republican)
-    'SThompson': 'DR',
-
-    // J.Q. Adams (Democratic-Republican/National Republican)
-    'RTrimble': 'DR',
-
-    // Jackson (Democrat)
-    'JMcLean': 'D',
-    'HBaldwin': 'D',
-    'JMWayne': 'D',
-    'RBTaney': 'D',
-    'PPBarbour': 'D',
-    'JCatron': 'D',
-
-    // Van Buren (Democrat)
-    'JMcKinley': 'D',
-    'PVDaniel': 'D',
-
-    // Tyler (Whig)
-    'SNelson': 'W',
-
-    // Polk (Democrat)
-    'LWoodbury': 'D',
-    'RCGrier': 'D',
-
-    // Fillmore (Whig)
-    'BRCurtis': 'W',
-
-    // Pierce (Democrat)
-    'JACampbell': 'D',
-
-    // Buchanan (Democrat)
-    'NClifford': 'D',
-
-    // Lincoln (Republican)
-    'NHSwayne': 'R',
-    'SFMiller': 'R',
-    'DDavis': 'R',
-    'SJField': 'R',
-    'SPChase': 'R',
-
-    // Grant (Republican)
-    'WStrong': 'R',
-    'JPBradley': 'R',
-    'WHunt': 'R',
-    'MRWaite': 'R',
-
-    // Hayes (Republican)
-    'JHarlan1': 'R',
-    'WBWoods': 'R',
-
-    // Garfield (Republican)
-    'SMatthews': 'R',
-
-    // Arthur (Republican)
-    'HGray': 'R',
-    'SBlatchford': 'R',
-
-    // Cleveland (Democrat)
-    'LQCLamar': 'D',
-    'MWFuller': 'D',
-
-    // Harrison (Republican)
-    'DJBrewer': 'R',
-    'HBBrown': 'R',
-    'GShiras': 'R',
-    'HEJackson': 'R',
-
-    // Cleveland 2nd term (Democrat)
-    'EDWhite': 'D',
-    'RWPeckham': 'D',
-
-    // McKinley (Republican)
-    'JMcKenna': 'R',
-
-    // T. Roosevelt (Republican)
-    'OWHolmes': 'R',
-    'WRDay': 'R',
-    'WHMoody': 'R',
-
-    // Taft (Republican)
-    'HHLurton': 'R',
-    'CEHughes': 'R',
-    'WVanDevanter': 'R',
-    'JRLamar': 'R',
-    'MPitney': 'R',
-
-    // Wilson (Democrat)
-    'JCMcReynolds': 'D',
-    'LDBrandeis': 'D',
-    'JHClarke': 'D',
-
-    // Harding (Republican)
-    'WHTaft': 'R',
-    'GSutherland': 'R',
-    'PButler': 'R',
-    'ETSanford': 'R',
-
-    // Coolidge (Republican)
-    'HFStone': 'R',
-
-    // Hoover (Republican)
-    'OJRoberts': 'R',
-    'BNCardozo': 'R',
-
-    // F.D. Roosevelt (Democrat)
-    'HLBlack': 'D',
-    'SFReed': 'D',
-    'FFrankfurter': 'D',
-    'WODouglas': 'D',
-    'FMurphy': 'D',
-    'JFByrnes': 'D',
-    'RHJackson': 'D',
-    'WBRutledge': 'D',
-
-    // Truman (Democrat)
-    'HHBurton': 'D',
-    'FMVinson': 'D',
-    'TCClark': 'D',
-    'SMinton': 'D',
-
-    // Eisenhower (Republican)
-    'EWarren': 'R',
-    'JHarlan2': 'R',
-    'WJBrennan': 'R',
-    'CEWhittaker': 'R',
-    'PStewart': 'R',
-
-    // Kennedy (Democrat)
-    'BRWhite': 'D',
-    'AJGoldberg': 'D',
-
-    // L.B. Johnson (Democrat)
-    'AFortas': 'D',
-    'TMarshall': 'D',
-
-    // Nixon (Republican)
-    'WEBurger': 'R',
-    'HBlackmun': 'R',
-    'LFPowell': 'R',
-    'WHRehnquist': 'R',
-
-    // Ford (Republican)
-    'JPStevens': 'R',
-
-    // Reagan (Republican)
-    'SDOConnor': 'R',
-    'AScalia': 'R',
-    'AMKennedy': 'R',
-
-    // G.H.W. Bush (Republican)
-    'DHSouter': 'R',
-    'CThomas': 'R',
-
-    // Clinton (Democrat)
-    'RBGinsburg': 'D',
-    'SGBreyer': 'D',
-    'SBreyer': 'D',
-
-    // G.W. Bush (Republican)
-    'JGRoberts': 'R',
-    'SAAlito': 'R',
-
-    // Obama (Democrat)
-    'SSotomayor': 'D',
-    'EKagan': 'D',
-
-    // Trump (Republican)
-    'NMGorsuch': 'R',
-    'BMKavanaugh': 'R',
-    'ACBarrett': 'R',
-
-    // Biden (Democrat)
-    'KBJackson': 'D',
-
-    // Alternative SCDB name formats (some justices have multiple entries)
-    'SOConnor': 'R',
-    'JRutledge2': 'F',      // John Rutledge (second stint) - Washington
-    'LQLamar': 'D',         // Lucius Q.C. Lamar - Cleveland (D)
-    'EDEWhite': 'D',        // Edward D. White - Cleveland (D)
-    'CEHughes1': 'R',       // Charles E. Hughes (Associate) - Taft (R)
-    'CEHughes2': 'R',       // Charles E. Hughes (Chief) - Hoover (R)
-    'HABlackmun': 'R',      // Harry Blackmun - Nixon (R)
-};
-
 // Parse command line arguments
-const args = process.argv.slice(2);
+const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const flags = new Set(process.argv.slice(2).filter(arg => arg.startsWith('--')));
+const strict = flags.has('--strict');
+const writeJson = flags.has('--json');
 
 if (args.length < 2) {
     console.log(`
 SCDB Data Preprocessing Script
 ==============================
 
-This script converts Supreme Court Database CSV files to a compact JSON format.
+This script converts Supreme Court Database CSV files to a compact columnar format.
 
 Usage:
-  node scripts/preprocess.js <legacy_csv_path> <modern_csv_path>
+  node scripts/preprocess.js [--strict] [--json] <legacy_csv_path> <modern_csv_path>
+
+Options:
+  --strict   Fail with a non-zero exit code when the validation pass finds issues
+  --json     Write a single JSON file instead of the columnar term-range chunks
 
 Example:
   node scripts/preprocess.js ./raw/SCDB_Legacy_07_justiceCentered_Citation.csv ./raw/SCDB_2025_01_justiceCentered_Citation.csv
@@ -263,106 +74,561 @@ Select "Justice Centered - Organized by Supreme Court Citation" and download the
 const legacyCsvPath = args[0];
 const modernCsvPath = args[1];
 const outputPath = path.join(__dirname, '..', 'data', 'scdb-votes.json');
+const manifestPath = path.join(__dirname, '..', 'data', 'scdb-manifest.json');
+const chunkDir = path.join(__dirname, '..', 'data', 'chunks');
+const rejectsPath = path.join(__dirname, '..', 'data', 'scdb-rejects.csv');
+const validationPath = path.join(__dirname, '..', 'data', 'scdb-validation.json');
+const justiceMetadataPath = path.join(__dirname, 'justice-metadata.json');
+
+// Streaming RFC 4180 CSV reader. Reads the file in chunks and calls onRecord(fields, line)
+// for every record, where line is the 1-based line the record starts on. Handles quoted fields
+// containing commas, escaped quotes and line breaks, CRLF/LF/CR line endings and a leading BOM.
+// Resolves with { line, reason, fields } if the file ends inside a quoted field, otherwise null.
+async function streamCSVRecords(filePath, onRecord) {
+    const stream = fs.createReadStream(filePath, { encoding: 'utf-8', highWaterMark: 64 * 1024 });
+
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let quotePending = false; // saw a quote inside a quoted field; next char decides escape vs close
+    let skipLineFeed = false; // previous char was a CR ending a record
+    let line = 1;
+    let recordLine = 1;
+    let firstChunk = true;
+
+    function endRecord() {
+        fields.push(field);
+        onRecord(fields, recordLine);
+        fields = [];
+        field = '';
+    }
+
+    for await (let chunk of stream) {
+        if (firstChunk) {
+            if (chunk.charCodeAt(0) === 0xFEFF) chunk = chunk.slice(1);
+            firstChunk = false;
+        }
+
+        for (let i = 0; i < chunk.length; i++) {
+            const char = chunk[i];
+
+            if (skipLineFeed) {
+                skipLineFeed = false;
+                if (char === '\n') continue;
+            }
+
+            if (inQuotes) {
+                if (quotePending) {
+                    quotePending = false;
+                    if (char === '"') {
+                        // Escaped quote
+                        field += '"';
+                        continue;
+                    }
+                    // Closing quote: fall through and treat this char as unquoted
+                    inQuotes = false;
+                } else if (char === '"') {
+                    quotePending = true;
+                    continue;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                    continue;
+                }
+            }
 
-// Simple CSV parser (handles quoted fields with commas)
-function parseCSV(content) {
-    const lines = content.split(/\r?\n/);
-    if (lines.length === 0) return [];
+            if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                endRecord();
+                line++;
+                recordLine = line;
+                skipLineFeed = char === '\r';
+            } else {
+                field += char;
+            }
+        }
+    }
+
+    if (inQuotes && !quotePending) {
+        return { line: recordLine, reason: 'unterminated quoted field', fields: [...fields, field] };
+    }
+    if (field !== '' || fields.length > 0) {
+        endRecord();
+    }
+    return null;
+}
 
-    const headers = parseCSVLine(lines[0]);
-    const rows = [];
+// Stream a CSV file as row objects keyed by header. Records whose field count does not match
+// the header are passed to onReject instead of being dropped silently. Blank lines are ignored.
+async function streamCSV(filePath, onRow, onReject) {
+    let headers = null;
+    let rowCount = 0;
 
-    for (let i = 1; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!line) continue;
+    const error = await streamCSVRecords(filePath, (fields, line) => {
+        if (fields.length === 1 && fields[0].trim() === '') return;
 
-        const values = parseCSVLine(line);
-        if (values.length !== headers.length) {
-            // Skip malformed rows
-            continue;
+        if (headers === null) {
+            headers = fields.map(h => h.trim());
+            return;
+        }
+
+        if (fields.length !== headers.length) {
+            onReject(line, `expected ${headers.length} fields, found ${fields.length}`, fields);
+            return;
         }
 
         const row = {};
         for (let j = 0; j < headers.length; j++) {
-            row[headers[j]] = values[j];
+            row[headers[j]] = fields[j].trim();
         }
-        rows.push(row);
+        rowCount++;
+        onRow(row, line);
+    });
+
+    if (error) {
+        onReject(error.line, error.reason, error.fields);
     }
+    return rowCount;
+}
 
-    return rows;
+// Quote a CSV field when it contains a delimiter, quote or line break
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 }
 
-function parseCSVLine(line) {
-    const values = [];
-    let current = '';
-    let inQuotes = false;
+// Writes skipped rows, with their source file and line number, to a CSV rejects file
+function createRejectsWriter(filePath) {
+    const stream = fs.createWriteStream(filePath);
+    stream.write('source,line,reason,record\n');
+    let count = 0;
+
+    return {
+        write(source, line, reason, fields) {
+            count++;
+            const record = fields.map(csvField).join(',');
+            stream.write([source, line, reason, record].map(csvField).join(',') + '\n');
+        },
+        get count() {
+            return count;
+        },
+        close() {
+            return new Promise(resolve => stream.end(resolve));
+        }
+    };
+}
 
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
+// Parse an optional integer SCDB code (empty cells become null)
+function parseCode(value) {
+    const code = parseInt(value, 10);
+    return isNaN(code) ? null : code;
+}
 
-        if (char === '"') {
-            if (inQuotes && line[i + 1] === '"') {
-                // Escaped quote
-                current += '"';
-                i++;
-            } else {
-                inQuotes = !inQuotes;
+// Convert an SCDB "M/D/YYYY" date to ISO "YYYY-MM-DD" (null when unparseable)
+function parseSCDBDate(value) {
+    const match = (value || '').match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (!match) return null;
+    return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+}
+
+// Load the versioned justice metadata file (full names, SCDB aliases and appointments).
+// Returns { version, parties, justices: Map(id -> entry), ids: Map(id or alias -> id) }.
+// Throws when an entry is incomplete or an id/alias is listed twice.
+function loadJusticeMetadata(filePath) {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const justices = new Map();
+    const ids = new Map();
+
+    for (const entry of raw.justices) {
+        if (!entry.id || !entry.fullName || !Array.isArray(entry.appointments) || entry.appointments.length === 0) {
+            throw new Error(`Incomplete justice metadata entry: ${JSON.stringify(entry)}`);
+        }
+        for (const appointment of entry.appointments) {
+            if (!raw.parties[appointment.party] || !['chief', 'associate'].includes(appointment.role)) {
+                throw new Error(`Invalid appointment for ${entry.id}: ${JSON.stringify(appointment)}`);
+            }
+        }
+        for (const name of [entry.id, ...(entry.aliases || [])]) {
+            if (ids.has(name)) {
+                throw new Error(`Justice name ${name} is listed more than once in ${path.basename(filePath)}`);
             }
-        } else if (char === ',' && !inQuotes) {
-            values.push(current.trim());
-            current = '';
-        } else {
-            current += char;
+            ids.set(name, entry.id);
         }
+        justices.set(entry.id, entry);
+    }
+
+    return { version: raw.version, parties: raw.parties, justices, ids };
+}
+
+// Process one SCDB row from the given source file ('legacy' or 'modern') into the cases and justices maps.
+// cases: caseId -> { term, naturalCourt, chief, caseName, usCite, dateDecision, issueArea, issue, decisionType, lawType, votes: { justiceName: majority }, directions: { justiceName: direction }, sources, conflicts }
+// justices: justiceName -> { firstTerm, lastTerm, terms }, keyed by the canonical id from justiceIds
+// Returns a reason string when the row is unusable, or null (non-participation is not an error).
+function processRow(row, source, cases, justices, justiceIds) {
+    const caseId = row.caseId;
+    const term = parseInt(row.term, 10);
+    const justiceName = justiceIds.get(row.justiceName) || row.justiceName;
+    const majority = parseInt(row.majority, 10);
+    const direction = parseInt(row.direction, 10);
+
+    // Reject rows with missing essential data
+    if (!caseId || isNaN(term) || !justiceName) {
+        return 'missing caseId, term or justiceName';
+    }
+
+    // Skip non-participation votes (majority missing, or not 1 or 2)
+    if (majority !== 1 && majority !== 2) {
+        return null;
+    }
+
+    // Update or create case entry
+    if (!cases.has(caseId)) {
+        cases.set(caseId, {
+            term,
+            naturalCourt: parseCode(row.naturalCourt),
+            chief: row.chief || null,
+            caseName: row.caseName || null,
+            usCite: row.usCite || null,
+            dateDecision: row.dateDecision || null,
+            issueArea: parseCode(row.issueArea),
+            issue: parseCode(row.issue),
+            decisionType: parseCode(row.decisionType),
+            lawType: parseCode(row.lawType),
+            votes: {},
+            directions: {},
+            sources: new Set(),
+            conflicts: []
+        });
     }
-    values.push(current.trim());
 
-    return values;
+    const caseEntry = cases.get(caseId);
+    caseEntry.sources.add(source);
+    const previousVote = caseEntry.votes[justiceName];
+    if (previousVote !== undefined && previousVote !== majority) {
+        caseEntry.conflicts.push({ justiceName, votes: [previousVote, majority] });
+    }
+    caseEntry.votes[justiceName] = majority;
+
+    // Keep ideological direction only when it is specifiable (1 = conservative, 2 = liberal)
+    if (direction === 1 || direction === 2) {
+        caseEntry.directions[justiceName] = direction;
+    }
+
+    // Update justice metadata
+    if (!justices.has(justiceName)) {
+        justices.set(justiceName, {
+            firstTerm: term,
+            lastTerm: term,
+            terms: new Set([term])
+        });
+    } else {
+        const justice = justices.get(justiceName);
+        justice.firstTerm = Math.min(justice.firstTerm, term);
+        justice.lastTerm = Math.max(justice.lastTerm, term);
+        justice.terms.add(term);
+    }
+
+    return null;
 }
 
-// Process SCDB data
-function processData(rows) {
-    const cases = new Map(); // caseId -> { term, votes: { justiceName: majority } }
-    const justices = new Map(); // justiceName -> { name, firstTerm, lastTerm }
+// Expected term range for each input file
+const EXPECTED_TERMS = {
+    legacy: { min: 1791, max: 1945 },
+    modern: { min: 1946, max: new Date().getFullYear() }
+};
 
-    for (const row of rows) {
-        const caseId = row.caseId;
-        const term = parseInt(row.term, 10);
-        const justiceName = row.justiceName;
-        const majority = parseInt(row.majority, 10);
+// Smallest plausible number of participating justices in a case: the statutory quorum
+// (four under the Judiciary Act of 1789, six since the Court was fixed at nine in 1869)
+function minPlausibleVoters(term) {
+    return term >= 1869 ? 6 : 4;
+}
 
-        // Skip rows with missing essential data
-        if (!caseId || isNaN(term) || !justiceName || isNaN(majority)) {
-            continue;
+// Validation pass over the processed data. Returns a machine-readable report listing
+// conflicting duplicate votes, out-of-range terms, case ids present in both files and
+// cases with implausibly few voters. Justices with gaps in their voting terms are listed
+// as warnings only: SCDB merges separate stints under one id (e.g. JRutledge1), so real
+// data always has some, and they do not count toward the --strict failure.
+function validateData(cases, justices) {
+    const issues = {
+        conflictingVotes: [],
+        termsOutOfRange: [],
+        duplicateCaseIds: [],
+        fewVoters: []
+    };
+    const warnings = {
+        justiceTermGaps: []
+    };
+
+    for (const [caseId, c] of cases) {
+        for (const conflict of c.conflicts) {
+            issues.conflictingVotes.push({ caseId, term: c.term, ...conflict });
         }
 
-        // Skip non-participation votes (majority value not 1 or 2)
-        if (majority !== 1 && majority !== 2) {
-            continue;
+        for (const source of c.sources) {
+            const expected = EXPECTED_TERMS[source];
+            if (expected && (c.term < expected.min || c.term > expected.max)) {
+                issues.termsOutOfRange.push({ caseId, source, term: c.term, expected: [expected.min, expected.max] });
+            }
+        }
+
+        if (c.sources.size > 1) {
+            issues.duplicateCaseIds.push({ caseId, term: c.term, sources: Array.from(c.sources) });
         }
 
-        // Update or create case entry
-        if (!cases.has(caseId)) {
-            cases.set(caseId, { term, votes: {} });
+        const voters = Object.keys(c.votes).length;
+        const minimum = minPlausibleVoters(c.term);
+        if (voters < minimum) {
+            issues.fewVoters.push({ caseId, term: c.term, voters, minimum });
+        }
+    }
+
+    for (const [justiceName, justice] of justices) {
+        const missingTerms = [];
+        for (let term = justice.firstTerm; term <= justice.lastTerm; term++) {
+            if (!justice.terms.has(term)) missingTerms.push(term);
+        }
+        if (missingTerms.length > 0) {
+            warnings.justiceTermGaps.push({
+                justiceName,
+                firstTerm: justice.firstTerm,
+                lastTerm: justice.lastTerm,
+                missingTerms
+            });
         }
-        cases.get(caseId).votes[justiceName] = majority;
-
-        // Update justice metadata
-        if (!justices.has(justiceName)) {
-            justices.set(justiceName, {
-                name: formatJusticeName(justiceName),
-                firstTerm: term,
-                lastTerm: term,
-                party: JUSTICE_PARTY[justiceName] || null
+    }
+
+    const countAll = lists => Object.fromEntries(Object.entries(lists).map(([check, list]) => [check, list.length]));
+    const summary = countAll(issues);
+    const warningSummary = countAll(warnings);
+    const total = Object.values(summary).reduce((sum, count) => sum + count, 0);
+    return { summary, total, issues, warningSummary, warnings };
+}
+
+// Derive natural courts (periods with no membership change) from the SCDB naturalCourt column.
+// Cases are grouped by their naturalCourt code, so justices who joined or left mid-term fall into
+// the correct period. When the column is absent, consecutive terms with the same set of voting
+// justices are grouped instead and each case is assigned the derived period id.
+function deriveNaturalCourts(cases) {
+    const hasColumn = Array.from(cases.values()).some(c => c.naturalCourt !== null);
+    if (!hasColumn) {
+        assignNaturalCourtsByMembership(cases);
+    }
+
+    const courts = new Map(); // naturalCourt -> { id, chief, startTerm, endTerm, startDate, endDate, members, cases }
+    for (const c of cases.values()) {
+        if (c.naturalCourt === null) continue;
+
+        if (!courts.has(c.naturalCourt)) {
+            courts.set(c.naturalCourt, {
+                id: c.naturalCourt,
+                chief: c.chief,
+                startTerm: c.term,
+                endTerm: c.term,
+                startDate: null,
+                endDate: null,
+                members: new Set(),
+                cases: 0
             });
-        } else {
-            const justice = justices.get(justiceName);
-            justice.firstTerm = Math.min(justice.firstTerm, term);
-            justice.lastTerm = Math.max(justice.lastTerm, term);
         }
+
+        const court = courts.get(c.naturalCourt);
+        court.startTerm = Math.min(court.startTerm, c.term);
+        court.endTerm = Math.max(court.endTerm, c.term);
+        court.cases++;
+        for (const justiceName of Object.keys(c.votes)) {
+            court.members.add(justiceName);
+        }
+
+        const date = parseSCDBDate(c.dateDecision);
+        if (date) {
+            if (!court.startDate || date < court.startDate) court.startDate = date;
+            if (!court.endDate || date > court.endDate) court.endDate = date;
+        }
+    }
+
+    // Name each period after its chief justice, numbered in order (e.g. "Roberts 3")
+    const chiefCounts = new Map();
+    return Array.from(courts.values())
+        .sort((a, b) => a.id - b.id)
+        .map(court => {
+            const chief = court.chief || 'Court';
+            chiefCounts.set(chief, (chiefCounts.get(chief) || 0) + 1);
+            return {
+                id: court.id,
+                name: `${chief} ${chiefCounts.get(chief)}`,
+                startTerm: court.startTerm,
+                endTerm: court.endTerm,
+                startDate: court.startDate,
+                endDate: court.endDate,
+                members: Array.from(court.members).sort(),
+                cases: court.cases
+            };
+        });
+}
+
+// Fallback for data without a naturalCourt column: group consecutive terms by voting membership
+function assignNaturalCourtsByMembership(cases) {
+    const membersByTerm = new Map();
+    for (const c of cases.values()) {
+        if (!membersByTerm.has(c.term)) membersByTerm.set(c.term, new Set());
+        for (const justiceName of Object.keys(c.votes)) {
+            membersByTerm.get(c.term).add(justiceName);
+        }
+    }
+
+    const courtByTerm = new Map();
+    let courtId = 0;
+    let previousKey = null;
+    for (const term of Array.from(membersByTerm.keys()).sort((a, b) => a - b)) {
+        const key = Array.from(membersByTerm.get(term)).sort().join('|');
+        if (key !== previousKey) {
+            courtId++;
+            previousKey = key;
+        }
+        courtByTerm.set(term, courtId);
+    }
+
+    for (const c of cases.values()) {
+        c.naturalCourt = courtByTerm.get(c.term);
+    }
+}
+
+// Columnar chunk layout. Integers are little-endian and sections are ordered by element size so
+// every typed array starts on a multiple of its width:
+//   header        Uint32[5]          magic, format version, case count, vote count, string bytes
+//   issue         Uint32[cases]
+//   voteOffset    Uint32[cases + 1]  votes of case i are voteOffset[i] .. voteOffset[i + 1] - 1
+//   term          Uint16[cases]
+//   naturalCourt  Uint16[cases]
+//   issueArea     Uint8[cases]
+//   decisionType  Uint8[cases]
+//   lawType       Uint8[cases]
+//   voteJustice   Uint8[votes]       index into manifest.justiceIds
+//   voteCode      Uint8[votes]       bits 0-1 majority (1 dissent, 2 majority),
+//                                    bits 2-3 direction (0 unspecified, 1 conservative, 2 liberal)
+//   strings       UTF-8 JSON array of [id, caseName, usCite, dateDecision], one entry per case
+// Missing codes are stored as 0.
+const CHUNK_MAGIC = 0x42444353; // "SCDB"
+const CHUNK_FORMAT_VERSION = 1;
+const CHUNK_TERMS = 10;
+
+// Encode one term-range chunk of output cases
+function encodeChunk(cases, justiceIndex) {
+    const caseCount = cases.length;
+    const voteCount = cases.reduce((sum, c) => sum + Object.keys(c.votes).length, 0);
+    const strings = Buffer.from(JSON.stringify(cases.map(c => [c.id, c.caseName, c.usCite, c.dateDecision])), 'utf8');
+
+    const header = new Uint32Array([CHUNK_MAGIC, CHUNK_FORMAT_VERSION, caseCount, voteCount, strings.length]);
+    const issue = new Uint32Array(caseCount);
+    const voteOffset = new Uint32Array(caseCount + 1);
+    const term = new Uint16Array(caseCount);
+    const naturalCourt = new Uint16Array(caseCount);
+    const issueArea = new Uint8Array(caseCount);
+    const decisionType = new Uint8Array(caseCount);
+    const lawType = new Uint8Array(caseCount);
+    const voteJustice = new Uint8Array(voteCount);
+    const voteCode = new Uint8Array(voteCount);
+
+    let v = 0;
+    cases.forEach((c, i) => {
+        issue[i] = c.issue || 0;
+        term[i] = c.term;
+        naturalCourt[i] = c.naturalCourt || 0;
+        issueArea[i] = c.issueArea || 0;
+        decisionType[i] = c.decisionType || 0;
+        lawType[i] = c.lawType || 0;
+        voteOffset[i] = v;
+        for (const [justice, majority] of Object.entries(c.votes)) {
+            voteJustice[v] = justiceIndex.get(justice);
+            voteCode[v] = majority | ((c.directions[justice] || 0) << 2);
+            v++;
+        }
+    });
+    voteOffset[caseCount] = v;
+
+    const columns = [header, issue, voteOffset, term, naturalCourt, issueArea, decisionType, lawType, voteJustice, voteCode];
+    return Buffer.concat([
+        ...columns.map(column => Buffer.from(column.buffer, column.byteOffset, column.byteLength)),
+        strings
+    ]);
+}
+
+// Distinct category codes across all cases, so the app can fill its filter selects
+// before any chunk is loaded. issues maps each issue area to the issues within it.
+function collectCategories(cases) {
+    const sets = { issueArea: new Set(), decisionType: new Set(), lawType: new Set() };
+    const issues = {};
+    for (const c of cases) {
+        for (const field of Object.keys(sets)) {
+            if (c[field] !== null) sets[field].add(c[field]);
+        }
+        if (c.issueArea !== null && c.issue !== null) {
+            (issues[c.issueArea] = issues[c.issueArea] || new Set()).add(c.issue);
+        }
+    }
+
+    const sorted = set => Array.from(set).sort((a, b) => a - b);
+    return {
+        issueArea: sorted(sets.issueArea),
+        decisionType: sorted(sets.decisionType),
+        lawType: sorted(sets.lawType),
+        issues: Object.fromEntries(Object.entries(issues).map(([area, set]) => [area, sorted(set)]))
+    };
+}
+
+// Delete the chunk files written by an earlier columnar run
+function removeChunks() {
+    if (!fs.existsSync(chunkDir)) return;
+    for (const file of fs.readdirSync(chunkDir)) {
+        if (/^terms-\d+-\d+\.bin$/.test(file)) {
+            fs.unlinkSync(path.join(chunkDir, file));
+        }
+    }
+}
+
+// Write the manifest and one columnar chunk per CHUNK_TERMS-term range. Returns the chunk list.
+function writeColumnarData(output) {
+    const justiceIds = Object.keys(output.justices);
+    if (justiceIds.length > 255) {
+        throw new Error(`Too many justices (${justiceIds.length}) for 8-bit justice indices`);
+    }
+    const justiceIndex = new Map(justiceIds.map((id, i) => [id, i]));
+
+    // Remove chunks from earlier runs so stale term ranges do not linger
+    removeChunks();
+    fs.mkdirSync(chunkDir, { recursive: true });
+
+    const { minTerm, maxTerm } = output.metadata;
+    const chunks = [];
+    for (let start = Math.floor(minTerm / CHUNK_TERMS) * CHUNK_TERMS; start <= maxTerm; start += CHUNK_TERMS) {
+        const startTerm = Math.max(start, minTerm);
+        const endTerm = Math.min(start + CHUNK_TERMS - 1, maxTerm);
+        const cases = output.cases.filter(c => c.term >= startTerm && c.term <= endTerm);
+        if (cases.length === 0) continue;
+
+        const buffer = encodeChunk(cases, justiceIndex);
+        const file = `terms-${startTerm}-${endTerm}.bin`;
+        fs.writeFileSync(path.join(chunkDir, file), buffer);
+        chunks.push({ file: `chunks/${file}`, startTerm, endTerm, cases: cases.length, bytes: buffer.length });
     }
 
-    return { cases, justices };
+    const manifest = {
+        format: 'scdb-columnar',
+        version: CHUNK_FORMAT_VERSION,
+        justiceIds,
+        justices: output.justices,
+        naturalCourts: output.naturalCourts,
+        categories: collectCategories(output.cases),
+        metadata: output.metadata,
+        chunks
+    };
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+
+    return chunks;
 }
 
 // Format justice name for display (e.g., "HLBlack" -> "H.L. Black")
@@ -382,101 +648,181 @@ function formatJusticeName(justiceName) {
 }
 
 // Main execution
-console.log('SCDB Data Preprocessing Script');
-console.log('==============================\n');
-
-// Check if files exist
-if (!fs.existsSync(legacyCsvPath)) {
-    console.error(`Error: Legacy CSV file not found: ${legacyCsvPath}`);
-    process.exit(1);
-}
-if (!fs.existsSync(modernCsvPath)) {
-    console.error(`Error: Modern CSV file not found: ${modernCsvPath}`);
-    process.exit(1);
-}
+async function main() {
+    console.log('SCDB Data Preprocessing Script');
+    console.log('==============================\n');
+
+    // Check if files exist
+    if (!fs.existsSync(legacyCsvPath)) {
+        console.error(`Error: Legacy CSV file not found: ${legacyCsvPath}`);
+        process.exit(1);
+    }
+    if (!fs.existsSync(modernCsvPath)) {
+        console.error(`Error: Modern CSV file not found: ${modernCsvPath}`);
+        process.exit(1);
+    }
 
-console.log(`Reading legacy data from: ${legacyCsvPath}`);
-const legacyContent = fs.readFileSync(legacyCsvPath, 'utf-8');
-const legacyRows = parseCSV(legacyContent);
-console.log(`  Parsed ${legacyRows.length} rows from legacy data`);
-
-console.log(`Reading modern data from: ${modernCsvPath}`);
-const modernContent = fs.readFileSync(modernCsvPath, 'utf-8');
-const modernRows = parseCSV(modernContent);
-console.log(`  Parsed ${modernRows.length} rows from modern data`);
-
-// Combine datasets
-const allRows = [...legacyRows, ...modernRows];
-console.log(`\nProcessing ${allRows.length} total rows...`);
-
-const { cases, justices } = processData(allRows);
-
-console.log(`  Found ${cases.size} unique cases`);
-console.log(`  Found ${justices.size} unique justices`);
-
-// Convert to output format
-const output = {
-    cases: Array.from(cases.entries()).map(([id, data]) => ({
-        id,
-        term: data.term,
-        votes: data.votes
-    })),
-    justices: Object.fromEntries(justices)
-};
+    // Output directory is needed up front for the rejects file
+    const outputDir = path.dirname(outputPath);
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
 
-// Sort cases by term
-output.cases.sort((a, b) => a.term - b.term);
-
-// Calculate term range
-const terms = output.cases.map(c => c.term);
-const minTerm = Math.min(...terms);
-const maxTerm = Math.max(...terms);
-
-output.metadata = {
-    minTerm,
-    maxTerm,
-    totalCases: output.cases.length,
-    totalJustices: Object.keys(output.justices).length,
-    generatedAt: new Date().toISOString(),
-    source: 'Supreme Court Database (SCDB) - https://scdb.la.psu.edu/'
-};
+    const metadata = loadJusticeMetadata(justiceMetadataPath);
+    console.log(`Loaded justice metadata v${metadata.version} (${metadata.justices.size} justices)\n`);
+
+    const cases = new Map();
+    const justices = new Map();
+    const rejects = createRejectsWriter(rejectsPath);
+
+    // Stream each file straight into the case/justice maps so raw rows are never held in memory
+    for (const [label, csvPath] of [['legacy', legacyCsvPath], ['modern', modernCsvPath]]) {
+        console.log(`Reading ${label} data from: ${csvPath}`);
+        const rejectedBefore = rejects.count;
+        const rowCount = await streamCSV(csvPath, (row, line) => {
+            const reason = processRow(row, label, cases, justices, metadata.ids);
+            if (reason) {
+                rejects.write(path.basename(csvPath), line, reason, Object.values(row));
+            }
+        }, (line, reason, fields) => {
+            rejects.write(path.basename(csvPath), line, reason, fields);
+        });
+        console.log(`  Parsed ${rowCount} rows from ${label} data (${rejects.count - rejectedBefore} rejected)`);
+    }
 
-// Write output
-const outputDir = path.dirname(outputPath);
-if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
-}
+    await rejects.close();
+    if (rejects.count > 0) {
+        console.log(`\nWARNING: ${rejects.count} rows were skipped; see ${rejectsPath}`);
+    }
 
-fs.writeFileSync(outputPath, JSON.stringify(output));
-const stats = fs.statSync(outputPath);
-const sizeMB = (stats.size / (1024 * 1024)).toFixed(2);
+    console.log(`\nProcessed data:`);
+    console.log(`  Found ${cases.size} unique cases`);
+    console.log(`  Found ${justices.size} unique justices`);
 
-console.log(`\nOutput written to: ${outputPath}`);
-console.log(`  File size: ${sizeMB} MB`);
-console.log(`  Term range: ${minTerm} - ${maxTerm}`);
-console.log(`  Total cases: ${output.cases.length}`);
-console.log(`  Total justices: ${Object.keys(output.justices).length}`);
+    // Every justice must be described in the metadata file
+    const unmapped = Array.from(justices.keys()).filter(id => !metadata.justices.has(id));
+    if (unmapped.length > 0) {
+        console.error(`\nError: ${unmapped.length} justices are missing from ${justiceMetadataPath}:`);
+        for (const id of unmapped) {
+            console.error(`  - ${id}`);
+        }
+        console.error('\nAdd an entry (or an alias on an existing entry) for each of them.');
+        process.exit(1);
+    }
 
-// Print justice list
-console.log('\nJustices in database:');
-const sortedJustices = Object.entries(output.justices)
-    .sort((a, b) => a[1].firstTerm - b[1].firstTerm);
+    const naturalCourts = deriveNaturalCourts(cases);
+    console.log(`  Found ${naturalCourts.length} natural courts`);
+
+    // Validation pass
+    const validation = validateData(cases, justices);
+    fs.writeFileSync(validationPath, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        strict,
+        rejectedRows: rejects.count,
+        ...validation
+    }, null, 2));
+
+    console.log(`\nValidation: ${validation.total} issue${validation.total === 1 ? '' : 's'} found`);
+    for (const [check, count] of Object.entries(validation.summary)) {
+        console.log(`  ${check}: ${count}`);
+    }
+    for (const [check, count] of Object.entries(validation.warningSummary)) {
+        console.log(`  ${check}: ${count} (warning)`);
+    }
+    console.log(`  Report written to: ${validationPath}`);
 
-const missingParty = [];
-for (const [id, info] of sortedJustices) {
-    const partyLabel = info.party || '?';
-    console.log(`  ${info.name} (${info.firstTerm}-${info.lastTerm}) [${partyLabel}]`);
-    if (!info.party) {
-        missingParty.push(id);
+    if (strict && validation.total > 0) {
+        console.error('\nError: validation failed in --strict mode; data file not written.');
+        process.exit(2);
     }
-}
 
-if (missingParty.length > 0) {
-    console.log(`\nWARNING: ${missingParty.length} justices missing party information:`);
-    for (const id of missingParty) {
-        console.log(`  - ${id}`);
+    // Convert to output format
+    const output = {
+        cases: Array.from(cases.entries()).map(([id, data]) => ({
+            id,
+            term: data.term,
+            naturalCourt: data.naturalCourt,
+            caseName: data.caseName,
+            usCite: data.usCite,
+            dateDecision: data.dateDecision,
+            issueArea: data.issueArea,
+            issue: data.issue,
+            decisionType: data.decisionType,
+            lawType: data.lawType,
+            votes: data.votes,
+            directions: data.directions
+        })),
+        justices: Object.fromEntries(Array.from(justices.entries()).map(([id, info]) => {
+            const entry = metadata.justices.get(id);
+            return [id, {
+                name: formatJusticeName(id),
+                fullName: entry.fullName,
+                firstTerm: info.firstTerm,
+                lastTerm: info.lastTerm,
+                party: entry.appointments[0].party,
+                president: entry.appointments[0].president,
+                appointments: entry.appointments
+            }];
+        })),
+        naturalCourts
+    };
+
+    // Sort cases by term
+    output.cases.sort((a, b) => a.term - b.term);
+
+    // Calculate term range
+    const terms = output.cases.map(c => c.term);
+    const minTerm = Math.min(...terms);
+    const maxTerm = Math.max(...terms);
+
+    output.metadata = {
+        minTerm,
+        maxTerm,
+        totalCases: output.cases.length,
+        totalJustices: Object.keys(output.justices).length,
+        generatedAt: new Date().toISOString(),
+        justiceMetadataVersion: metadata.version,
+        parties: metadata.parties,
+        source: 'Supreme Court Database (SCDB) - https://scdb.la.psu.edu/'
+    };
+
+    // Write output: columnar term-range chunks, or the single JSON file with --json
+    if (writeJson) {
+        // The app prefers the manifest, so drop the columnar output of earlier runs
+        removeChunks();
+        fs.rmSync(manifestPath, { force: true });
+        fs.writeFileSync(outputPath, JSON.stringify(output));
+        const sizeMB = (fs.statSync(outputPath).size / (1024 * 1024)).toFixed(2);
+
+        console.log(`\nOutput written to: ${outputPath}`);
+        console.log(`  File size: ${sizeMB} MB`);
+    } else {
+        const chunks = writeColumnarData(output);
+        const bytes = chunks.reduce((sum, chunk) => sum + chunk.bytes, 0) + fs.statSync(manifestPath).size;
+        const sizeMB = (bytes / (1024 * 1024)).toFixed(2);
+
+        console.log(`\nOutput written to: ${manifestPath}`);
+        console.log(`  Chunks: ${chunks.length} in ${chunkDir}`);
+        console.log(`  Total size: ${sizeMB} MB`);
     }
-    console.log('\nPlease add these to the JUSTICE_PARTY mapping in preprocess.js');
+    console.log(`  Term range: ${minTerm} - ${maxTerm}`);
+    console.log(`  Total cases: ${output.cases.length}`);
+    console.log(`  Total justices: ${Object.keys(output.justices).length}`);
+    console.log(`  Natural courts: ${naturalCourts.length}`);
+
+    // Print justice list
+    console.log('\nJustices in database:');
+    const sortedJustices = Object.entries(output.justices)
+        .sort((a, b) => a[1].firstTerm - b[1].firstTerm);
+
+    for (const [, info] of sortedJustices) {
+        console.log(`  ${info.name} (${info.firstTerm}-${info.lastTerm}) [${info.party}] ${info.fullName}`);
+    }
+
+    console.log('\nDone! You can now open index.html in your browser.');
 }
 
-console.log('\nDone! You can now open index.html in your browser.');
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});